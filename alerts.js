@@ -0,0 +1,265 @@
+/**
+ * Alert Channels - a registry of outputs (sound, flash, notification, ...) for alerts
+ * Every channel receives the same alert payload and can be switched on or off, as a
+ * whole and per kind of alert, through `settings.alertChannels`. An escalation policy
+ * raises the intensity of alerts that go on or keep coming back.
+ */
+
+// Alerts a channel gets when it does not list its `phases`
+const DEFAULT_PHASES = ['start', 'repeat'];
+
+// Every kind of alert, in display order
+export const ALERT_KINDS = ['touch', 'bite', 'approach', 'posture', 'distance', 'blink', 'break', 'eye-break'];
+
+export const ALERT_KIND_LABELS = {
+    touch: 'Face touch',
+    bite: 'Nail biting',
+    approach: 'Hand approaching',
+    posture: 'Posture',
+    distance: 'Screen distance',
+    blink: 'Low blink rate',
+    break: 'Break reminder',
+    'eye-break': 'Eye break'
+};
+
+// Intensity of an alert that has not escalated
+export const BASE_INTENSITY = { volume: 1, pitch: 1, flash: 'normal', channels: [] };
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Create an alert channel registry bound to a settings object.
+ *
+ * A channel is `{ id, label, send(alert), enabled?, kinds?, phases? }`: `enabled` and
+ * `kinds` are its defaults until the user changes them, on and every kind when omitted.
+ * `phases` lists the phases it wants, 'start' and 'repeat' when omitted.
+ * `send` receives the alert payload:
+ *   { kind, phase, zone, hand, finger, issue, count, message, time, event, level, intensity }
+ * where `phase` is 'start', 'repeat' or 'end', `count` is the session count of that kind
+ * (null on repeats and ends), `time` is epoch milliseconds and `event` the engine event.
+ * `level` and `intensity` come from the escalation policy (see createAlertEscalation);
+ * channels listed in `intensity.channels` get the alert even while switched off.
+ * Channel failures are logged and never stop the other channels.
+ *
+ * @param {Object} settings - stores choices in `alertChannels`: { [id]: { enabled, kinds: { [kind]: boolean } } }
+ */
+export function createAlertRegistry(settings) {
+    const channels = new Map();
+
+    const registry = {
+        settings,
+
+        // Registered channels, in registration order
+        get channels() {
+            return [...channels.values()];
+        },
+
+        register(channel) {
+            channels.set(channel.id, channel);
+            return registry;
+        },
+
+        unregister(id) {
+            channels.delete(id);
+            return registry;
+        },
+
+        isEnabled(id) {
+            const channel = channels.get(id);
+            return Boolean(channel) && (getStored(id).enabled ?? channel.enabled ?? true);
+        },
+
+        // Whether a channel receives a kind of alert, regardless of its enable switch
+        isRouted(id, kind) {
+            const channel = channels.get(id);
+            return Boolean(channel) && (getStored(id).kinds?.[kind] ?? (channel.kinds ?? ALERT_KINDS).includes(kind));
+        },
+
+        setEnabled(id, enabled) {
+            getStored(id, true).enabled = enabled;
+        },
+
+        setRouted(id, kind, routed) {
+            const stored = getStored(id, true);
+            stored.kinds = { ...stored.kinds, [kind]: routed };
+        },
+
+        /**
+         * Send an alert to every enabled channel that is routed its kind.
+         * @param {Object} alert - see createAlertRegistry
+         */
+        dispatch(alert) {
+            for (const channel of channels.values()) {
+                const escalated = alert.intensity?.channels.includes(channel.id);
+                if (!(registry.isEnabled(channel.id) || escalated) || !registry.isRouted(channel.id, alert.kind)) continue;
+                if (!(channel.phases ?? DEFAULT_PHASES).includes(alert.phase)) continue;
+
+                try {
+                    Promise.resolve(channel.send(alert)).catch(error => {
+                        console.warn(`Alert channel "${channel.id}" failed:`, error);
+                    });
+                } catch (error) {
+                    console.warn(`Alert channel "${channel.id}" failed:`, error);
+                }
+            }
+        }
+    };
+
+    function getStored(id, create = false) {
+        const all = registry.settings.alertChannels || (create ? (registry.settings.alertChannels = {}) : {});
+        return all[id] || (create ? (all[id] = {}) : {});
+    }
+
+    return registry;
+}
+
+// ============================================================================
+// Escalation
+// ============================================================================
+
+/**
+ * Create the escalation policy: alerts of a kind with an enabled entry in
+ * `settings.escalation` climb levels the longer they last and the more often they
+ * start within a window.
+ *
+ * `settings.escalation[kind]` is `{ enabled, windowMs, quietMs, levels }`. Level n is
+ * `levels[n - 1]`: `{ afterMs, afterCount, volume, pitch, flash, channels }`, reached once
+ * the alert has lasted `afterMs` or is the `afterCount`th start within the last `windowMs`.
+ * `volume` and `pitch` multiply the sound, `flash` is 'normal' or 'strong' and `channels`
+ * lists switched-off channels to use anyway, e.g. ['notification']. After `quietMs`
+ * without an alert of the kind, the count starts over at level 0.
+ *
+ * @param {Object} settings - read on every update
+ */
+export function createAlertEscalation(settings) {
+    const history = new Map();  // kind -> { starts: epoch ms[], lastTime }
+
+    return {
+        settings,
+
+        /**
+         * Record an alert and work out its level.
+         * @param {Object} alert - alert payload, without level and intensity
+         * @returns {{ level: number, intensity: Object }}
+         */
+        update({ kind, phase, time, event }) {
+            const policy = settings.escalation?.[kind];
+            if (!policy?.enabled) {
+                return { level: 0, intensity: BASE_INTENSITY };
+            }
+
+            let entry = history.get(kind);
+            if (!entry || time - entry.lastTime >= policy.quietMs) {
+                entry = { starts: [], lastTime: time };
+                history.set(kind, entry);
+            }
+            entry.lastTime = time;
+            if (phase === 'start') {
+                entry.starts.push(time);
+            }
+            entry.starts = entry.starts.filter(start => time - start < policy.windowMs);
+
+            const durationMs = event?.durationMs ?? 0;
+            let level = 0;
+            policy.levels.forEach((step, index) => {
+                if (durationMs >= step.afterMs || entry.starts.length >= step.afterCount) {
+                    level = index + 1;
+                }
+            });
+
+            return { level, intensity: level > 0 ? { ...BASE_INTENSITY, ...policy.levels[level - 1] } : BASE_INTENSITY };
+        },
+
+        // Forget recent alerts, e.g. for a new session
+        reset() {
+            history.clear();
+        }
+    };
+}
+
+// ============================================================================
+// Built-in Channels
+// ============================================================================
+
+// Tone per kind: [frequency Hz, duration ms, volume]
+const TONES = {
+    touch: [440, 150, 0.3],
+    bite: [880, 250, 0.3],
+    approach: [660, 80, 0.08],
+    posture: [330, 200, 0.3],
+    distance: [520, 200, 0.3],
+    blink: [330, 300, 0.3],
+    break: [660, 300, 0.2],
+    'eye-break': [660, 150, 0.2]
+};
+
+// Flash color class per kind, on top of `active`
+const FLASH_CLASSES = {
+    bite: 'biting',
+    approach: 'approach',
+    posture: 'posture',
+    distance: 'distance',
+    blink: 'blink',
+    break: 'break',
+    'eye-break': 'break'
+};
+
+const FLASH_MS = 400;
+// Strong flashes last longer and are brighter (see .alert-flash.strong)
+const STRONG_FLASH_MS = 800;
+
+/**
+ * A sound per kind: a short beep pitched per kind, unless `play` picks another sound.
+ * `play` applies the alert's escalated volume and pitch.
+ * @param {function(Object, number[])} play - (alert, [frequency Hz, duration ms, volume] of the kind's beep)
+ */
+export function createSoundChannel(play) {
+    return {
+        id: 'sound',
+        label: 'Sound',
+        send(alert) {
+            return play(alert, TONES[alert.kind] ?? TONES.touch);
+        }
+    };
+}
+
+/**
+ * Flash the screen edges, colored per kind, stronger for escalated alerts.
+ * @param {HTMLElement} element - the alert flash overlay
+ */
+export function createFlashChannel(element) {
+    return {
+        id: 'flash',
+        label: 'Flash',
+        send(alert) {
+            const classes = FLASH_CLASSES[alert.kind] ? ['active', FLASH_CLASSES[alert.kind]] : ['active'];
+            const strong = alert.intensity?.flash === 'strong';
+            if (strong) {
+                classes.push('strong');
+            }
+            element.classList.add(...classes);
+            setTimeout(() => {
+                element.classList.remove(...classes);
+            }, strong ? STRONG_FLASH_MS : FLASH_MS);
+        }
+    };
+}
+
+/**
+ * Browser notification with the alert message. Off by default, since it needs permission,
+ * and not used for the soft approach pre-warning.
+ * @param {function(string)} notify - shows a notification with the given text
+ */
+export function createNotificationChannel(notify) {
+    return {
+        id: 'notification',
+        label: 'Notification',
+        enabled: false,
+        kinds: ALERT_KINDS.filter(kind => kind !== 'approach'),
+        send(alert) {
+            notify(alert.message);
+        }
+    };
+}
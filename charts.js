@@ -0,0 +1,190 @@
+/**
+ * History Charts - small dependency-free canvas charts for the history view
+ * Colors follow the CSS custom properties in style.css.
+ */
+
+const COLORS = {
+    bar: '#38bdf8',
+    axis: '#475569',
+    text: '#94a3b8',
+    dim: '#64748b',
+    cell: '14, 165, 233',
+    emptyCell: '#1e293b'
+};
+
+const FONT = '10px Inter, -apple-system, sans-serif';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// ============================================================================
+// Charts
+// ============================================================================
+
+/**
+ * Vertical bar chart of counts over time.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{start: number, count: number}[]} buckets - oldest first
+ * @param {Object} options
+ * @param {function(number): string} options.formatLabel - label for a bucket start time
+ * @param {number} [options.labelEvery] - label every Nth bucket
+ */
+export function drawBarChart(canvas, buckets, { formatLabel, labelEvery = 1 }) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    const max = Math.max(...buckets.map(b => b.count), 0);
+
+    if (max === 0) {
+        drawEmpty(ctx, width, height, 'No touches in this period');
+        return;
+    }
+
+    const top = 14;
+    const bottom = height - 14;
+    const slot = width / buckets.length;
+    const barWidth = Math.max(1, slot * 0.7);
+
+    // Baseline and max label
+    ctx.strokeStyle = COLORS.axis;
+    ctx.beginPath();
+    ctx.moveTo(0, bottom + 0.5);
+    ctx.lineTo(width, bottom + 0.5);
+    ctx.stroke();
+
+    ctx.font = FONT;
+    ctx.fillStyle = COLORS.dim;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`max ${max}`, 0, 0);
+
+    // Bars
+    ctx.fillStyle = COLORS.bar;
+    buckets.forEach((bucket, i) => {
+        const barHeight = (bucket.count / max) * (bottom - top);
+        ctx.fillRect(i * slot + (slot - barWidth) / 2, bottom - barHeight, barWidth, barHeight);
+    });
+
+    // Time labels
+    ctx.fillStyle = COLORS.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    buckets.forEach((bucket, i) => {
+        if (i % labelEvery === 0) {
+            ctx.fillText(formatLabel(bucket.start), i * slot + slot / 2, height);
+        }
+    });
+}
+
+/**
+ * Hour-of-day x weekday heatmap.
+ * @param {HTMLCanvasElement} canvas
+ * @param {number[][]} grid - grid[weekday][hour], weekday 0 = Monday
+ */
+export function drawHeatmap(canvas, grid) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    const max = Math.max(...grid.flat(), 0);
+
+    const labelWidth = 28;
+    const labelHeight = 12;
+    const cellWidth = (width - labelWidth) / 24;
+    const cellHeight = (height - labelHeight) / 7;
+
+    ctx.font = FONT;
+    ctx.fillStyle = COLORS.text;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    WEEKDAYS.forEach((day, row) => {
+        ctx.fillText(day, 0, row * cellHeight + cellHeight / 2);
+    });
+
+    for (let row = 0; row < 7; row++) {
+        for (let hour = 0; hour < 24; hour++) {
+            const count = grid[row][hour];
+            ctx.fillStyle = count > 0
+                ? `rgba(${COLORS.cell}, ${0.2 + 0.8 * (count / max)})`
+                : COLORS.emptyCell;
+            ctx.fillRect(
+                labelWidth + hour * cellWidth + 1,
+                row * cellHeight + 1,
+                cellWidth - 2,
+                cellHeight - 2
+            );
+        }
+    }
+
+    // Hour labels
+    ctx.fillStyle = COLORS.dim;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (let hour = 0; hour < 24; hour += 6) {
+        ctx.fillText(`${hour}h`, labelWidth + hour * cellWidth + cellWidth / 2, height);
+    }
+}
+
+/**
+ * Horizontal bar breakdown, largest first.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{label: string, value: number, color: string}[]} entries
+ */
+export function drawBreakdown(canvas, entries) {
+    const sorted = entries.filter(e => e.value > 0).sort((a, b) => b.value - a.value);
+    const rowHeight = 18;
+
+    // Grow the canvas to fit every row
+    canvas.style.height = `${Math.max(1, sorted.length) * rowHeight}px`;
+    const { ctx, width, height } = setupCanvas(canvas);
+
+    if (sorted.length === 0) {
+        drawEmpty(ctx, width, height, 'No touches in this period');
+        return;
+    }
+
+    const max = sorted[0].value;
+    const labelWidth = 80;
+    const valueWidth = 32;
+    const barSpace = width - labelWidth - valueWidth;
+
+    ctx.font = FONT;
+    ctx.textBaseline = 'middle';
+
+    sorted.forEach((entry, row) => {
+        const y = row * rowHeight;
+
+        ctx.fillStyle = COLORS.text;
+        ctx.textAlign = 'left';
+        ctx.fillText(entry.label, 0, y + rowHeight / 2, labelWidth - 4);
+
+        ctx.fillStyle = entry.color;
+        ctx.fillRect(labelWidth, y + 4, Math.max(2, (entry.value / max) * barSpace), rowHeight - 8);
+
+        ctx.fillStyle = COLORS.text;
+        ctx.textAlign = 'right';
+        ctx.fillText(String(entry.value), width, y + rowHeight / 2);
+    });
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+// Size the backing store to the displayed size so charts stay sharp on HiDPI screens
+function setupCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    return { ctx, width, height };
+}
+
+function drawEmpty(ctx, width, height, message) {
+    ctx.font = FONT;
+    ctx.fillStyle = COLORS.dim;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message, width / 2, height / 2);
+}
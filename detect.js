@@ -4,6 +4,15 @@
  */
 
 import { FaceLandmarker, HandLandmarker, PoseLandmarker, FilesetResolver, DrawingUtils } from 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.18/vision_bundle.mjs';
+import { createDetectionEngine, createPostureCalibration, calibrateScreenDistance, measureFaceSize, getPostureBaseline, getPostureBaselineKey, getTouchThreshold, getFaceScale, getZoneLandmarks, getZoneIds, isInsidePolygon, FINGERTIPS, POSE_LANDMARKS } from './engine.js';
+import { createRecording, recordFrame, serializeRecording, parseRecording, decodeFrame } from './recorder.js';
+import { openHistory, startSession, endSession, getSessions, addEvent, getTotals, createTotals, getEvents, importHistory, startOfPeriod, countByPeriod, countByWeekdayHour, countBy } from './history.js';
+import { eventsToCSV, serializeHistory, parseHistory } from './export.js';
+import { drawBarChart, drawHeatmap, drawBreakdown } from './charts.js';
+import { createAlertRegistry, createAlertEscalation, createSoundChannel, createFlashChannel, createNotificationChannel, ALERT_KINDS, ALERT_KIND_LABELS, BASE_INTENSITY } from './alerts.js';
+import { createWebhookChannel } from './webhook.js';
+import { createEventStream } from './websocket.js';
+import { TONE_PATTERNS, MAX_SOUND_BYTES, playTonePattern, playAudioFile, speak, fillMessage, openSounds, addSound, getSounds, deleteSound } from './sounds.js';
 
 // ============================================================================
 // State Management
@@ -29,23 +38,69 @@ const state = {
 
     // Statistics
     touchCount: 0,
+    biteCount: 0,
+    zoneCounts: {},     // touches per zone this session
+    fingerCounts: {},   // touches and bites per hand and finger this session, keyed 'left:thumb'
     lastTouchTime: null,
     postureAlertCount: 0,
     lastPostureAlertTime: null,
+    lastPostureTimeRender: 0,
+    screenDistance: null,       // latest estimate in cm
+    distanceAlertCount: 0,
+    tooCloseMs: 0,              // finished too-close spells this session
+    tooCloseSince: null,        // engine timestamp the current spell began
+    blinksPerMinute: null,      // null until a full minute was measured
+    blinkCount: 0,
+    blinkAlertCount: 0,
+    isAway: false,              // face gone long enough to count as having left
+    breakDueCount: 0,           // sitting stretches that reached the break reminder
+    breaksTaken: 0,
+    breaksAfterReminder: 0,     // breaks taken once one was due, for compliance
+    leftWithBreakDue: false,
+    eyeBreakCount: 0,
     startTime: null,
     lastFrameTime: 0,
     fps: 0,
 
-    // Alert state
-    alertCooldown: false,
-    isTouching: false,
-    wasTouching: false,
-    continuousBeepTimer: null,
+    // Detection engine (touch and posture state machines)
+    engine: null,
+
+    // Alert channel registry (sound, flash, notification, ...)
+    alerts: null,
+
+    // Escalation policy: recent touch and posture alerts
+    escalation: null,
+
+    // WebSocket stream of live status and events
+    eventStream: null,
+
+    // Uploaded alert sounds: { db, list }
+    sounds: { db: null, list: [] },
+
+    // Input source: 'camera', 'file' (pre-recorded video) or 'replay' (landmark recording)
+    source: 'camera',
+    mirrored: true,
+    videoFileUrl: null,
+    videoFrameIndex: 0,     // video file frame being analyzed, see VIDEO_FILE_FPS
+
+    // Landmark recording in progress, or recording being replayed
+    recording: null,
+    replay: null,
+
+    // Touch and posture events of the current session
+    eventLog: [],
+
+    // Persistent history (IndexedDB) - only live camera sessions are stored
+    history: {
+        db: null,
+        session: null,  // promise of the current session's id (null if it could not be stored)
+        totals: null,   // { lifetime: { touches, bites, posture }, day: { touches, bites, posture } }
+        dayKey: null,
+        charts: null,   // { range, from, now, events } last drawn, for redrawing on resize
+        resizeTimer: null
+    },
 
     // Posture alert state
-    isBadPosture: false,
-    wasBadPosture: false,
-    postureBeepTimer: null,
     currentPostureIssue: null,
 
     // Audio context (lazy init)
@@ -55,12 +110,55 @@ const state = {
     settings: {
         sensitivity: 100,
         alertCooldownMs: 2000,
-        soundEnabled: true,
-        notifyEnabled: false,
-        visualAlertEnabled: true,
+        touchDwellMs: 150,          // contact must last this long before it counts as a touch
+        touchReleaseScale: 1.5,     // a touch ends beyond this multiple of the touch distance...
+        touchReleaseGapMs: 250,     // ...once the hand has stayed away this long
+        approachWarningEnabled: true,
+        approachLeadMs: 500,        // soft pre-warning when contact is predicted within this time
+        bitingConfirmation: false,  // tell biting from touching near the mouth (needs face blendshapes)
+        // Per alert channel: { enabled, kinds: { [kind]: boolean } }, channel defaults until changed
+        alertChannels: {},
+        // Touch and posture alerts get more intense as they go on or come back (see createAlertEscalation);
+        // biting alerts use the touch policy
+        escalation: {
+            touch: {
+                enabled: false,
+                windowMs: 600000,       // 10 minutes
+                quietMs: 300000,        // 5 minutes
+                levels: [
+                    { afterMs: 5000, afterCount: 3, volume: 1.5, pitch: 1.25, flash: 'strong', channels: [] },
+                    { afterMs: 15000, afterCount: 6, volume: 2, pitch: 1.5, flash: 'strong', channels: [] }
+                ]
+            },
+            posture: {
+                enabled: false,
+                windowMs: 1800000,      // 30 minutes
+                quietMs: 600000,        // 10 minutes
+                levels: [
+                    { afterMs: 60000, afterCount: 3, volume: 1.5, pitch: 1.25, flash: 'strong', channels: [] },
+                    { afterMs: 180000, afterCount: 5, volume: 2, pitch: 1.5, flash: 'strong', channels: [] }
+                ]
+            }
+        },
+        // Touch and posture alert sounds: 'tone:<pattern>', 'custom:<sound id>' or 'speech' with a message
+        sounds: {
+            touch: { sound: 'tone:beep', message: 'Hands down - {zone}' },
+            posture: { sound: 'tone:low', message: 'Sit up straight - {issue}' }
+        },
+        // Local URL the webhook channel posts alerts to, e.g. http://localhost:8000/events
+        webhook: {
+            url: ''
+        },
+        // WebSocket endpoint that gets live status and events, e.g. ws://localhost:8765
+        eventStream: {
+            enabled: false,
+            url: ''
+        },
         showFaceMesh: true,
         showHands: true,
         showProximity: false,
+        recordingFormat: 'ndjson',
+        historyRange: '7d',
         // Detection zones - which regions trigger alerts
         zones: {
             mouth: true,
@@ -69,11 +167,59 @@ const state = {
             rightEye: true,
             leftCheek: false,
             rightCheek: false,
-            chin: false
+            chin: false,
+            forehead: false,
+            leftScalp: false,
+            rightScalp: false,
+            leftEar: false,
+            rightEar: false
+        },
+        // Per-zone touch distance (percent of the eye distance at 100% sensitivity)
+        // and sensitivity, applied on top of the global sensitivity slider
+        zoneSettings: {
+            mouth: { distance: 30, sensitivity: 100 },
+            nose: { distance: 30, sensitivity: 100 },
+            leftEye: { distance: 30, sensitivity: 100 },
+            rightEye: { distance: 30, sensitivity: 100 },
+            leftCheek: { distance: 30, sensitivity: 100 },
+            rightCheek: { distance: 30, sensitivity: 100 },
+            chin: { distance: 30, sensitivity: 100 },
+            forehead: { distance: 30, sensitivity: 100 },
+            leftScalp: { distance: 30, sensitivity: 100 },
+            rightScalp: { distance: 30, sensitivity: 100 },
+            leftEar: { distance: 30, sensitivity: 100 },
+            rightEar: { distance: 30, sensitivity: 100 }
+        },
+        // User-defined zones: { id, name, color, landmarks } with face mesh indices.
+        // Enabled state and tuning live in zones / zoneSettings under the same id
+        customZones: [],
+        // Too-close-to-the-screen check from the apparent face size in the main camera
+        screenDistance: {
+            enabled: false,
+            minDistanceCm: 50,
+            alertCooldownMs: 10000,
+            calibration: null               // { distanceCm, faceSize, capturedAt } measured at a known distance
+        },
+        // Blink rate, a sign of screen eye strain when it stays low
+        blink: {
+            enabled: false,
+            minBlinksPerMinute: 10,
+            lowRateMs: 120000,              // how long the rate has to stay low before alerting
+            alertCooldownMs: 300000
+        },
+        // Break reminders from presence (face visible) at the screen
+        breaks: {
+            enabled: false,
+            sittingLimitMs: 50 * 60000,     // remind to take a break after sitting this long
+            reminderRepeatMs: 10 * 60000,
+            breakMinMs: 5 * 60000,          // being away this long counts as a break
+            eyeBreaksEnabled: true,         // 20-20-20: every 20 minutes look 20 feet away for 20 seconds
+            eyeBreakIntervalMs: 20 * 60000
         },
         // Posture detection settings
         posture: {
             enabled: false,
+            view: 'lateral',                // 'lateral' (side camera) or 'front' (main camera)
             lateralCameraId: null,
             showPoseLandmarks: true,
             sensitivity: 100,
@@ -81,35 +227,28 @@ const state = {
             headForwardThreshold: 15,      // degrees - head tilt forward
             shoulderSlouchThreshold: 10,    // degrees - shoulder drop
             spineAngleThreshold: 15,        // degrees - spine curvature
-            alertCooldownMs: 3000           // separate cooldown for posture alerts
+            alertCooldownMs: 3000,          // separate cooldown for posture alerts
+            sustainMs: 5000,                // bad posture must last this long before an alert
+            // Calibrated good posture per lateral camera (see getPostureBaseline)
+            baselines: {}
         }
     },
 
-    // Last touched zone (for status display)
-    lastTouchedZone: null
-};
+    // Touch in progress (for status display)
+    currentTouch: null,
 
-// Face regions for nail-biting / face touch detection
-// These indices correspond to MediaPipe Face Mesh landmarks
-const FACE_REGIONS = {
-    // Mouth region - critical for nail biting detection
-    mouth: [0, 13, 14, 17, 37, 39, 40, 61, 78, 80, 81, 82, 84, 87, 88, 91, 95, 146, 178, 181, 185, 191, 267, 269, 270, 291, 308, 310, 311, 312, 314, 317, 318, 321, 324, 375, 402, 405, 409, 415],
-    // Nose region
-    nose: [1, 2, 4, 5, 6, 19, 94, 168, 195, 197, 236, 237, 238, 239, 240, 241, 242, 250, 456, 457, 458, 459, 460, 461, 462],
-    // Left eye region
-    leftEye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246],
-    // Right eye region
-    rightEye: [362, 382, 381, 380, 374, 373, 390, 249, 263, 466, 388, 387, 386, 385, 384, 398],
-    // Cheeks
-    leftCheek: [117, 118, 119, 120, 121, 126, 142, 203, 206, 216, 207, 187],
-    rightCheek: [346, 347, 348, 349, 350, 355, 371, 423, 426, 436, 427, 411],
-    // Chin
-    chin: [152, 175, 176, 148, 149, 150, 136, 169, 170, 171, 377, 378, 379, 365, 397, 288, 361, 323]
-};
+    // Face landmarks of the last frame, for picking custom zone landmarks
+    lastFace: null,
+
+    // Custom zone being created or edited: { id, name, color, landmarks: Set, lasso }
+    zoneEditor: null,
 
-// Hand fingertip indices (MediaPipe Hand Landmarks)
-const FINGERTIPS = [4, 8, 12, 16, 20]; // thumb, index, middle, ring, pinky
-const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+    // Posture calibration in progress: { calibration, startAt }
+    postureCalibration: null,
+
+    // Screen distance calibration in progress: { distanceCm, sizes, startTime }
+    distanceCalibration: null
+};
 
 // LocalStorage key for settings persistence
 const SETTINGS_STORAGE_KEY = 'faceTouchMonitor_settings';
@@ -133,10 +272,57 @@ function loadSettings() {
             const parsed = JSON.parse(saved);
             // Merge with defaults to ensure all keys exist
             state.settings = { ...state.settings, ...parsed };
+            // Alert toggles saved before alert channels existed
+            if ('soundEnabled' in parsed && !parsed.alertChannels) {
+                state.settings.alertChannels = {
+                    sound: { enabled: parsed.soundEnabled },
+                    flash: { enabled: parsed.visualAlertEnabled },
+                    notification: { enabled: parsed.notifyEnabled }
+                };
+            }
+            delete state.settings.soundEnabled;
+            delete state.settings.notifyEnabled;
+            delete state.settings.visualAlertEnabled;
             // Handle nested zones object
             if (parsed.zones) {
                 state.settings.zones = { ...state.settings.zones, ...parsed.zones };
             }
+            // Handle nested per-zone settings
+            if (parsed.zoneSettings) {
+                state.settings.zoneSettings = { ...state.settings.zoneSettings, ...parsed.zoneSettings };
+            }
+            // Handle nested screen distance object
+            if (parsed.screenDistance) {
+                state.settings.screenDistance = { ...state.settings.screenDistance, ...parsed.screenDistance };
+            }
+            // Handle nested blink object
+            if (parsed.blink) {
+                state.settings.blink = { ...state.settings.blink, ...parsed.blink };
+            }
+            // Handle nested sounds object, one level per alert kind
+            if (parsed.sounds) {
+                for (const kind of Object.keys(state.settings.sounds)) {
+                    state.settings.sounds[kind] = { ...DEFAULT_SOUNDS[kind], ...parsed.sounds[kind] };
+                }
+            }
+            // Handle nested escalation object, one policy per alert kind (levels are replaced as a whole)
+            if (parsed.escalation) {
+                for (const kind of Object.keys(state.settings.escalation)) {
+                    state.settings.escalation[kind] = { ...DEFAULT_ESCALATION[kind], ...parsed.escalation[kind] };
+                }
+            }
+            // Handle nested webhook object
+            if (parsed.webhook) {
+                state.settings.webhook = { ...state.settings.webhook, ...parsed.webhook };
+            }
+            // Handle nested event stream object
+            if (parsed.eventStream) {
+                state.settings.eventStream = { ...state.settings.eventStream, ...parsed.eventStream };
+            }
+            // Handle nested breaks object
+            if (parsed.breaks) {
+                state.settings.breaks = { ...state.settings.breaks, ...parsed.breaks };
+            }
             // Handle nested posture object
             if (parsed.posture) {
                 state.settings.posture = { ...state.settings.posture, ...parsed.posture };
@@ -149,9 +335,19 @@ function loadSettings() {
 
 function applySettingsToUI() {
     // Alert toggles
-    elements.beepToggle.checked = state.settings.soundEnabled;
-    elements.notifyToggle.checked = state.settings.notifyEnabled;
-    elements.visualAlertToggle.checked = state.settings.visualAlertEnabled;
+    elements.beepToggle.checked = state.alerts.isEnabled('sound');
+    elements.notifyToggle.checked = state.alerts.isEnabled('notification');
+    elements.visualAlertToggle.checked = state.alerts.isEnabled('flash');
+    renderAlertRouting();
+    renderSoundSettings();
+    renderEscalationSettings();
+    elements.webhookToggle.checked = state.alerts.isEnabled('webhook');
+    elements.webhookUrlInput.value = state.settings.webhook.url;
+    elements.eventStreamToggle.checked = state.settings.eventStream.enabled;
+    elements.eventStreamUrlInput.value = state.settings.eventStream.url;
+    elements.approachWarningToggle.checked = state.settings.approachWarningEnabled;
+    elements.approachLeadSlider.value = state.settings.approachLeadMs;
+    elements.approachLeadValue.textContent = `${state.settings.approachLeadMs}ms`;
 
     // Cooldown slider
     const cooldownSec = state.settings.alertCooldownMs / 1000;
@@ -167,17 +363,57 @@ function applySettingsToUI() {
     elements.sensitivitySlider.value = state.settings.sensitivity;
     elements.sensitivityValue.textContent = `${state.settings.sensitivity}%`;
 
+    // Touch timing sliders
+    elements.touchDwellSlider.value = state.settings.touchDwellMs;
+    elements.touchDwellValue.textContent = `${state.settings.touchDwellMs}ms`;
+    elements.touchReleaseSlider.value = Math.round(state.settings.touchReleaseScale * 100);
+    elements.touchReleaseValue.textContent = `${Math.round(state.settings.touchReleaseScale * 100)}%`;
+    elements.touchReleaseGapSlider.value = state.settings.touchReleaseGapMs;
+    elements.touchReleaseGapValue.textContent = `${state.settings.touchReleaseGapMs}ms`;
+
     // Zone toggles
     elements.zoneMouth.checked = state.settings.zones.mouth;
     elements.zoneNose.checked = state.settings.zones.nose;
     elements.zoneEyes.checked = state.settings.zones.leftEye && state.settings.zones.rightEye;
     elements.zoneCheeks.checked = state.settings.zones.leftCheek && state.settings.zones.rightCheek;
     elements.zoneChin.checked = state.settings.zones.chin;
+    elements.zoneForehead.checked = state.settings.zones.forehead;
+    elements.zoneScalp.checked = state.settings.zones.leftScalp && state.settings.zones.rightScalp;
+    elements.zoneEars.checked = state.settings.zones.leftEar && state.settings.zones.rightEar;
+    elements.bitingToggle.checked = state.settings.bitingConfirmation;
+    renderCustomZones();
+    renderZoneTuning();
+
+    // Screen distance settings
+    elements.distanceToggle.checked = state.settings.screenDistance.enabled;
+    elements.minDistanceSlider.value = state.settings.screenDistance.minDistanceCm;
+    elements.minDistanceValue.textContent = `${state.settings.screenDistance.minDistanceCm} cm`;
+    if (state.settings.screenDistance.calibration) {
+        elements.calibrationDistanceInput.value = state.settings.screenDistance.calibration.distanceCm;
+    }
+    renderDistanceCalibration();
+
+    // Blink settings
+    elements.blinkToggle.checked = state.settings.blink.enabled;
+    elements.minBlinkRateSlider.value = state.settings.blink.minBlinksPerMinute;
+    elements.minBlinkRateValue.textContent = `${state.settings.blink.minBlinksPerMinute}/min`;
+    elements.lowBlinkTimeSlider.value = state.settings.blink.lowRateMs / 60000;
+    elements.lowBlinkTimeValue.textContent = `${state.settings.blink.lowRateMs / 60000} min`;
+
+    // Break settings
+    elements.breaksToggle.checked = state.settings.breaks.enabled;
+    elements.eyeBreaksToggle.checked = state.settings.breaks.eyeBreaksEnabled;
+    elements.sittingLimitSlider.value = state.settings.breaks.sittingLimitMs / 60000;
+    elements.sittingLimitValue.textContent = `${state.settings.breaks.sittingLimitMs / 60000} min`;
+    elements.breakMinSlider.value = state.settings.breaks.breakMinMs / 60000;
+    elements.breakMinValue.textContent = `${state.settings.breaks.breakMinMs / 60000} min`;
 
     // Posture settings
     if (elements.postureToggle) {
         elements.postureToggle.checked = state.settings.posture.enabled;
     }
+    elements.postureViewSelect.value = state.settings.posture.view;
+    elements.lateralCameraControl.hidden = state.settings.posture.view === 'front';
     if (elements.showPoseLandmarks) {
         elements.showPoseLandmarks.checked = state.settings.posture.showPoseLandmarks;
     }
@@ -197,12 +433,22 @@ function applySettingsToUI() {
         elements.spineAngleSlider.value = state.settings.posture.spineAngleThreshold;
         elements.spineAngleValue.textContent = `${state.settings.posture.spineAngleThreshold}°`;
     }
+    renderPostureCalibration();
+    const postureSustainSec = state.settings.posture.sustainMs / 1000;
+    elements.postureSustainSlider.value = postureSustainSec;
+    elements.postureSustainValue.textContent = `${postureSustainSec}s`;
     if (elements.postureCooldownSlider) {
         const postureCooldownSec = state.settings.posture.alertCooldownMs / 1000;
         elements.postureCooldownSlider.value = postureCooldownSec;
         elements.postureCooldownValue.textContent = `${postureCooldownSec}s`;
     }
 
+    // Recording format
+    elements.recordingFormat.value = state.settings.recordingFormat;
+
+    // History range
+    elements.historyRange.value = state.settings.historyRange;
+
     // Update lateral video wrapper visibility
     updateLateralCameraVisibility();
 }
@@ -219,6 +465,17 @@ const elements = {
     startButton: document.getElementById('startButton'),
     stopButton: document.getElementById('stopButton'),
     resetStats: document.getElementById('resetStats'),
+    replayFileInput: document.getElementById('replayFileInput'),
+    videoFileInput: document.getElementById('videoFileInput'),
+    videoWrapper: document.getElementById('videoWrapper'),
+
+    // Event log elements
+    eventLog: document.getElementById('eventLog'),
+    eventLogEmpty: document.getElementById('eventLogEmpty'),
+
+    // Recording elements
+    recordButton: document.getElementById('recordButton'),
+    recordingFormat: document.getElementById('recordingFormat'),
 
     // Status elements
     detectionStatus: document.getElementById('detectionStatus'),
@@ -232,10 +489,65 @@ const elements = {
     touchRate: document.getElementById('touchRate'),
     fpsDisplay: document.getElementById('fpsDisplay'),
 
+    // Session / today / lifetime totals
+    sessionTouchTotal: document.getElementById('sessionTouchTotal'),
+    zoneCounts: document.getElementById('zoneCounts'),
+    fingerCounts: document.getElementById('fingerCounts'),
+    sessionBiteTotal: document.getElementById('sessionBiteTotal'),
+    todayBiteTotal: document.getElementById('todayBiteTotal'),
+    lifetimeBiteTotal: document.getElementById('lifetimeBiteTotal'),
+    todayTouchTotal: document.getElementById('todayTouchTotal'),
+    lifetimeTouchTotal: document.getElementById('lifetimeTouchTotal'),
+    sessionPostureTotal: document.getElementById('sessionPostureTotal'),
+    todayPostureTotal: document.getElementById('todayPostureTotal'),
+    lifetimePostureTotal: document.getElementById('lifetimePostureTotal'),
+    sessionBreakDueTotal: document.getElementById('sessionBreakDueTotal'),
+    todayBreakDueTotal: document.getElementById('todayBreakDueTotal'),
+    lifetimeBreakDueTotal: document.getElementById('lifetimeBreakDueTotal'),
+    sessionBreakTotal: document.getElementById('sessionBreakTotal'),
+    todayBreakTotal: document.getElementById('todayBreakTotal'),
+    lifetimeBreakTotal: document.getElementById('lifetimeBreakTotal'),
+    sessionBreakCompliance: document.getElementById('sessionBreakCompliance'),
+    todayBreakCompliance: document.getElementById('todayBreakCompliance'),
+    lifetimeBreakCompliance: document.getElementById('lifetimeBreakCompliance'),
+
+    // History view
+    historyRange: document.getElementById('historyRange'),
+    exportFrom: document.getElementById('exportFrom'),
+    exportTo: document.getElementById('exportTo'),
+    exportCsvButton: document.getElementById('exportCsvButton'),
+    exportJsonButton: document.getElementById('exportJsonButton'),
+    importHistoryInput: document.getElementById('importHistoryInput'),
+    historyHint: document.getElementById('historyHint'),
+    historyTimeline: document.getElementById('historyTimeline'),
+    historyHeatmap: document.getElementById('historyHeatmap'),
+    historyZones: document.getElementById('historyZones'),
+    historyFingers: document.getElementById('historyFingers'),
+
     // Control elements
     beepToggle: document.getElementById('beepToggle'),
     notifyToggle: document.getElementById('notifyToggle'),
     visualAlertToggle: document.getElementById('visualAlertToggle'),
+    alertRouting: document.getElementById('alertRouting'),
+    escalationSettings: document.getElementById('escalationSettings'),
+    touchSoundSelect: document.getElementById('touchSoundSelect'),
+    touchSoundMessage: document.getElementById('touchSoundMessage'),
+    previewTouchSoundButton: document.getElementById('previewTouchSoundButton'),
+    postureSoundSelect: document.getElementById('postureSoundSelect'),
+    postureSoundMessage: document.getElementById('postureSoundMessage'),
+    previewPostureSoundButton: document.getElementById('previewPostureSoundButton'),
+    customSoundList: document.getElementById('customSoundList'),
+    soundFileInput: document.getElementById('soundFileInput'),
+    webhookToggle: document.getElementById('webhookToggle'),
+    webhookUrlInput: document.getElementById('webhookUrlInput'),
+    testWebhookButton: document.getElementById('testWebhookButton'),
+    webhookStatus: document.getElementById('webhookStatus'),
+    eventStreamToggle: document.getElementById('eventStreamToggle'),
+    eventStreamUrlInput: document.getElementById('eventStreamUrlInput'),
+    eventStreamStatus: document.getElementById('eventStreamStatus'),
+    approachWarningToggle: document.getElementById('approachWarningToggle'),
+    approachLeadSlider: document.getElementById('approachLeadSlider'),
+    approachLeadValue: document.getElementById('approachLeadValue'),
     alertCooldown: document.getElementById('alertCooldown'),
     cooldownValue: document.getElementById('cooldownValue'),
     showLandmarks: document.getElementById('showLandmarks'),
@@ -243,6 +555,12 @@ const elements = {
     showProximity: document.getElementById('showProximity'),
     sensitivitySlider: document.getElementById('sensitivitySlider'),
     sensitivityValue: document.getElementById('sensitivityValue'),
+    touchDwellSlider: document.getElementById('touchDwellSlider'),
+    touchDwellValue: document.getElementById('touchDwellValue'),
+    touchReleaseSlider: document.getElementById('touchReleaseSlider'),
+    touchReleaseValue: document.getElementById('touchReleaseValue'),
+    touchReleaseGapSlider: document.getElementById('touchReleaseGapSlider'),
+    touchReleaseGapValue: document.getElementById('touchReleaseGapValue'),
 
     // Zone toggles
     zoneMouth: document.getElementById('zoneMouth'),
@@ -250,9 +568,60 @@ const elements = {
     zoneEyes: document.getElementById('zoneEyes'),
     zoneCheeks: document.getElementById('zoneCheeks'),
     zoneChin: document.getElementById('zoneChin'),
+    zoneForehead: document.getElementById('zoneForehead'),
+    zoneScalp: document.getElementById('zoneScalp'),
+    zoneEars: document.getElementById('zoneEars'),
+    bitingToggle: document.getElementById('bitingToggle'),
+    zoneTuning: document.getElementById('zoneTuning'),
+
+    // Custom zone editor
+    customZoneList: document.getElementById('customZoneList'),
+    addCustomZoneButton: document.getElementById('addCustomZoneButton'),
+    zoneEditor: document.getElementById('zoneEditor'),
+    customZoneName: document.getElementById('customZoneName'),
+    customZoneColor: document.getElementById('customZoneColor'),
+    customZoneSelection: document.getElementById('customZoneSelection'),
+    saveCustomZoneButton: document.getElementById('saveCustomZoneButton'),
+    clearCustomZoneButton: document.getElementById('clearCustomZoneButton'),
+    cancelCustomZoneButton: document.getElementById('cancelCustomZoneButton'),
+
+    // Screen distance elements
+    distanceToggle: document.getElementById('distanceToggle'),
+    minDistanceSlider: document.getElementById('minDistanceSlider'),
+    minDistanceValue: document.getElementById('minDistanceValue'),
+    calibrationDistanceInput: document.getElementById('calibrationDistanceInput'),
+    calibrateDistanceButton: document.getElementById('calibrateDistanceButton'),
+    distanceCalibrationStatus: document.getElementById('distanceCalibrationStatus'),
+    screenDistanceValue: document.getElementById('screenDistanceValue'),
+    distanceAlertCount: document.getElementById('distanceAlertCount'),
+    distanceCloseTime: document.getElementById('distanceCloseTime'),
+
+    // Blink elements
+    blinkToggle: document.getElementById('blinkToggle'),
+    minBlinkRateSlider: document.getElementById('minBlinkRateSlider'),
+    minBlinkRateValue: document.getElementById('minBlinkRateValue'),
+    lowBlinkTimeSlider: document.getElementById('lowBlinkTimeSlider'),
+    lowBlinkTimeValue: document.getElementById('lowBlinkTimeValue'),
+    blinkRateValue: document.getElementById('blinkRateValue'),
+    blinkCount: document.getElementById('blinkCount'),
+    blinkAlertCount: document.getElementById('blinkAlertCount'),
+
+    // Break elements
+    breaksToggle: document.getElementById('breaksToggle'),
+    eyeBreaksToggle: document.getElementById('eyeBreaksToggle'),
+    sittingLimitSlider: document.getElementById('sittingLimitSlider'),
+    sittingLimitValue: document.getElementById('sittingLimitValue'),
+    breakMinSlider: document.getElementById('breakMinSlider'),
+    breakMinValue: document.getElementById('breakMinValue'),
+    sittingTime: document.getElementById('sittingTime'),
+    breaksTaken: document.getElementById('breaksTaken'),
+    breakCompliance: document.getElementById('breakCompliance'),
+    breakSummary: document.getElementById('breakSummary'),
 
     // Posture detection elements
     postureToggle: document.getElementById('postureToggle'),
+    postureViewSelect: document.getElementById('postureViewSelect'),
+    lateralCameraControl: document.getElementById('lateralCameraControl'),
     lateralCameraSelect: document.getElementById('lateralCameraSelect'),
     lateralVideo: document.getElementById('lateralVideoElement'),
     lateralCanvas: document.getElementById('lateralOverlayCanvas'),
@@ -266,11 +635,20 @@ const elements = {
     shoulderSlouchValue: document.getElementById('shoulderSlouchValue'),
     spineAngleSlider: document.getElementById('spineAngleSlider'),
     spineAngleValue: document.getElementById('spineAngleValue'),
+    postureSustainSlider: document.getElementById('postureSustainSlider'),
+    postureSustainValue: document.getElementById('postureSustainValue'),
     postureCooldownSlider: document.getElementById('postureCooldownSlider'),
     postureCooldownValue: document.getElementById('postureCooldownValue'),
+    postureCalibrationStatus: document.getElementById('postureCalibrationStatus'),
+    postureCalibrationProgress: document.getElementById('postureCalibrationProgress'),
+    calibratePostureButton: document.getElementById('calibratePostureButton'),
+    resetCalibrationButton: document.getElementById('resetCalibrationButton'),
     postureAlertCount: document.getElementById('postureAlertCount'),
     lastPostureAlert: document.getElementById('lastPostureAlert'),
-    postureStatus: document.getElementById('postureStatus')
+    postureGoodShare: document.getElementById('postureGoodShare'),
+    postureBreakdown: document.getElementById('postureBreakdown'),
+    postureStatus: document.getElementById('postureStatus'),
+    frontPostureStatus: document.getElementById('frontPostureStatus')
 };
 
 // ============================================================================
@@ -294,7 +672,7 @@ async function initializeMediaPipe() {
             minFaceDetectionConfidence: 0.5,
             minFacePresenceConfidence: 0.5,
             minTrackingConfidence: 0.5,
-            outputFaceBlendshapes: false,
+            outputFaceBlendshapes: state.settings.bitingConfirmation,
             outputFacialTransformationMatrixes: false
         });
 
@@ -343,6 +721,8 @@ async function initializeCamera() {
         });
 
         elements.video.srcObject = stream;
+        state.source = 'camera';
+        state.mirrored = true;
 
         return new Promise((resolve) => {
             elements.video.onloadedmetadata = () => {
@@ -367,6 +747,82 @@ async function initializeCamera() {
     }
 }
 
+// Video files are analyzed at this many frames per second of video
+const VIDEO_FILE_FPS = 30;
+
+async function initializeVideoFile(file) {
+    state.videoFileUrl = URL.createObjectURL(file);
+    state.source = 'file';
+    state.mirrored = false;
+    state.videoFrameIndex = 0;
+
+    // The video stays paused and is stepped through by seeking (see stepVideoFile)
+    elements.video.autoplay = false;
+    elements.video.srcObject = null;
+    elements.video.src = state.videoFileUrl;
+    elements.video.onseeked = handleVideoFileSeeked;
+
+    return new Promise((resolve) => {
+        // Wait for the first frame, not just the metadata, so it can be analyzed straight away
+        elements.video.onloadeddata = () => {
+            elements.video.onloadeddata = null;
+
+            // Set canvas dimensions to match video
+            elements.canvas.width = elements.video.videoWidth;
+            elements.canvas.height = elements.video.videoHeight;
+
+            state.video = elements.video;
+            state.canvas = elements.canvas;
+            state.ctx = elements.canvas.getContext('2d');
+            state.drawingUtils = new DrawingUtils(state.ctx);
+
+            resolve(true);
+        };
+
+        elements.video.onerror = () => {
+            console.error('Failed to load video file:', elements.video.error);
+            alert('Unable to play this video file. Please try another format (MP4 or WebM work best).');
+            releaseVideoFile();
+            resolve(false);
+        };
+    });
+}
+
+function releaseVideoFile() {
+    if (!state.videoFileUrl) return;
+
+    elements.video.onseeked = null;
+    elements.video.onerror = null;
+    elements.video.removeAttribute('src');
+    elements.video.load();
+    elements.video.autoplay = true;
+    URL.revokeObjectURL(state.videoFileUrl);
+    state.videoFileUrl = null;
+}
+
+// Seek to the next video file frame; detectFrame runs again once it is decoded.
+// Detection therefore sees the same frames however fast it runs
+function stepVideoFile() {
+    const nextTime = (state.videoFrameIndex + 1) / VIDEO_FILE_FPS;
+    // MediaRecorder WebM files often report an Infinity or NaN duration; those end when a seek stops advancing
+    if (Number.isFinite(state.video.duration) && nextTime >= state.video.duration) {
+        finishAnalysis();
+        return;
+    }
+    state.videoFrameIndex++;
+    state.video.currentTime = nextTime;
+}
+
+// A seek past the end is clamped to the last frame, which must not be analyzed again
+function handleVideoFileSeeked() {
+    const targetTime = state.videoFrameIndex / VIDEO_FILE_FPS;
+    if (state.video.ended || state.video.currentTime < targetTime - 0.5 / VIDEO_FILE_FPS) {
+        finishAnalysis();
+        return;
+    }
+    detectFrame();
+}
+
 // ============================================================================
 // Lateral Camera Management (for Posture Detection)
 // ============================================================================
@@ -445,6 +901,11 @@ async function initializeLateralCamera(deviceId) {
     }
 }
 
+// Side view with a lateral camera chosen
+function usesLateralCamera() {
+    return state.settings.posture.view !== 'front' && Boolean(state.settings.posture.lateralCameraId);
+}
+
 function stopLateralCamera() {
     if (state.lateralStream) {
         state.lateralStream.getTracks().forEach(track => track.stop());
@@ -456,6 +917,12 @@ function stopLateralCamera() {
     state.lateralVideo = null;
     state.lateralCanvas = null;
     state.lateralCtx = null;
+
+    // A calibration needs the camera it was started with
+    if (state.postureCalibration) {
+        state.postureCalibration = null;
+        renderPostureCalibration();
+    }
 }
 
 function updateLateralCameraVisibility() {
@@ -477,149 +944,204 @@ function detectFrame() {
 
     const now = performance.now();
 
+    // Get landmarks from the live camera or from the recording being replayed
+    const frame = state.replay ? readReplayFrame(now) : readLiveFrame(now);
+
+    // Replay frames are paced by their recorded timestamps
+    if (!frame) {
+        if (state.isRunning) {
+            state.animationId = requestAnimationFrame(detectFrame);
+        }
+        return;
+    }
+
     // Calculate FPS
     if (state.lastFrameTime > 0) {
-        state.fps = 1000 / (now - state.lastFrameTime);
+        state.fps = 1000 / (frame.timestamp - state.lastFrameTime);
     }
-    state.lastFrameTime = now;
+    state.lastFrameTime = frame.timestamp;
 
-    // Get face and hand landmarks
-    const faceResults = state.faceLandmarker.detectForVideo(state.video, now);
-    const handResults = state.handLandmarker.detectForVideo(state.video, now);
+    if (state.recording) {
+        recordFrame(state.recording, frame);
+    }
 
     // Clear canvas
     state.ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
 
     // Mirror the canvas to match video
     state.ctx.save();
-    state.ctx.scale(-1, 1);
-    state.ctx.translate(-state.canvas.width, 0);
+    if (state.mirrored) {
+        state.ctx.scale(-1, 1);
+        state.ctx.translate(-state.canvas.width, 0);
+    }
 
-    // Process and draw results
-    const faceLandmarks = faceResults.faceLandmarks?.[0] || null;
-    const handLandmarksList = handResults.landmarks || [];
+    state.lastFace = frame.face;
 
     // Draw visualizations
-    if (faceLandmarks) {
+    if (frame.face) {
         if (state.settings.showFaceMesh) {
-            drawFaceMesh(faceLandmarks);
+            drawFaceMesh(frame.face);
         }
         if (state.settings.showProximity) {
-            drawProximityZones(faceLandmarks);
+            drawProximityZones(frame.face);
         }
     }
 
-    if (handLandmarksList.length > 0 && state.settings.showHands) {
-        drawHands(handLandmarksList);
+    if (frame.hands.length > 0 && state.settings.showHands) {
+        drawHands(frame.hands);
     }
 
-    // Check for face touch
-    const touchDetected = checkFaceTouch(faceLandmarks, handLandmarksList);
+    // Front-view pose shares the main video
+    if (frame.poseView === 'front' && frame.pose && state.settings.posture.showPoseLandmarks) {
+        drawPoseLandmarks(frame.pose, state.ctx, state.canvas.width, state.canvas.height);
+    }
 
-    // Handle touch state changes
-    handleTouchState(touchDetected, faceLandmarks !== null);
+    if (state.zoneEditor) {
+        drawZoneEditor(frame.face);
+    }
 
     state.ctx.restore();
 
-    // Process posture detection from lateral camera
-    if (state.settings.posture.enabled && state.lateralVideo && state.poseLandmarker) {
-        const poseLandmarks = detectPostureFrame();
-        const badPostureDetected = checkPosture(poseLandmarks);
-        handlePostureState(badPostureDetected);
+    if (frame.pose !== undefined) {
+        if (frame.poseView !== 'front') {
+            drawPostureFrame(frame.pose);
+        }
+        if (state.postureCalibration) {
+            updatePostureCalibration(frame.pose, frame.timestamp);
+        }
+    }
+
+    // Run touch and posture detection (alerts fire from engine events)
+    const result = state.engine.processFrame({
+        ...frame,
+        width: state.canvas.width,
+        height: state.canvas.height
+    });
+
+    state.currentTouch = state.engine.currentTouch;
+    state.screenDistance = result.screenDistance;
+    state.blinksPerMinute = result.blinksPerMinute;
+
+    if (state.distanceCalibration && frame.face) {
+        updateDistanceCalibration(frame);
+    }
+    updateDetectionStatus(result.faceVisible, result.isTouching);
+    state.eventStream.updateStatus(getLiveStatus());
+
+    if (result.postureIssues) {
+        state.currentPostureIssue = result.postureIssues.length > 0 ? result.postureIssues.join(', ') : null;
+        updatePostureStatus(result.isBadPosture);
     }
+    elements.frontPostureStatus.hidden = !(frame.poseView === 'front' && result.postureIssues);
 
     // Update UI
     updateUI();
 
     // Schedule next frame
-    state.animationId = requestAnimationFrame(detectFrame);
+    if (state.source === 'file') {
+        stepVideoFile();
+    } else {
+        state.animationId = requestAnimationFrame(detectFrame);
+    }
 }
 
-// ============================================================================
-// Face Touch Detection
-// ============================================================================
+function readLiveFrame(now) {
+    // Video files are analyzed on their own timeline
+    const timestamp = state.source === 'file' ? state.videoFrameIndex * 1000 / VIDEO_FILE_FPS : now;
 
-function checkFaceTouch(faceLandmarks, handLandmarksList) {
-    if (!faceLandmarks || handLandmarksList.length === 0) {
-        state.lastTouchedZone = null;
-        return false;
-    }
+    // Get face and hand landmarks
+    const faceResults = state.faceLandmarker.detectForVideo(state.video, now);
+    const handResults = state.handLandmarker.detectForVideo(state.video, now);
 
-    const videoWidth = state.canvas.width;
-    const videoHeight = state.canvas.height;
+    const frame = {
+        timestamp,
+        face: faceResults.faceLandmarks?.[0] || null,
+        hands: handResults.landmarks || [],
+        handedness: (handResults.handednesses || []).map(categories => categories[0]?.categoryName || null)
+    };
 
-    // Determine which zones are enabled based on settings
-    const enabledZones = [];
-    if (state.settings.zones.mouth) enabledZones.push('mouth');
-    if (state.settings.zones.nose) enabledZones.push('nose');
-    if (state.settings.zones.leftEye) enabledZones.push('leftEye');
-    if (state.settings.zones.rightEye) enabledZones.push('rightEye');
-    if (state.settings.zones.leftCheek) enabledZones.push('leftCheek');
-    if (state.settings.zones.rightCheek) enabledZones.push('rightCheek');
-    if (state.settings.zones.chin) enabledZones.push('chin');
-
-    // If no zones enabled, no detection
-    if (enabledZones.length === 0) {
-        state.lastTouchedZone = null;
-        return false;
+    // Blendshape scores for nail biting confirmation, by name
+    const blendshapes = faceResults.faceBlendshapes?.[0]?.categories;
+    if (blendshapes) {
+        frame.blendshapes = Object.fromEntries(blendshapes.map(c => [c.categoryName, c.score]));
     }
 
-    // Convert face landmarks to pixel coordinates for enabled zones only
-    const facePoints = {};
-    for (const region of enabledZones) {
-        const indices = FACE_REGIONS[region];
-        if (indices) {
-            facePoints[region] = indices.map(idx => {
-                const lm = faceLandmarks[idx];
-                return {
-                    x: lm.x * videoWidth,
-                    y: lm.y * videoHeight,
-                    z: lm.z * videoWidth
-                };
-            });
+    // Get pose landmarks from the main video (front view) or the lateral camera (live camera only)
+    if (state.settings.posture.enabled && state.poseLandmarker) {
+        if (state.settings.posture.view === 'front') {
+            frame.pose = detectPostureFrame(state.video, now);
+            frame.poseView = 'front';
+        } else if (state.source === 'camera' && state.lateralVideo) {
+            frame.pose = detectPostureFrame(state.lateralVideo, now);
         }
     }
 
-    // Check each hand
-    for (const handLandmarks of handLandmarksList) {
-        // Check fingertips
-        for (let i = 0; i < FINGERTIPS.length; i++) {
-            const tipIdx = FINGERTIPS[i];
-            const tip = handLandmarks[tipIdx];
-            const tipPoint = {
-                x: tip.x * videoWidth,
-                y: tip.y * videoHeight,
-                z: tip.z * videoWidth
-            };
+    return frame;
+}
 
-            // Check against each enabled face region
-            for (const [region, points] of Object.entries(facePoints)) {
-                const minDist = getMinDistance(tipPoint, points);
-
-                // Base threshold adjusted by sensitivity
-                // Lower sensitivity = larger threshold = less sensitive
-                const baseThreshold = 40; // pixels
-                const sensitivityMultiplier = state.settings.sensitivity / 100;
-                const threshold = baseThreshold / sensitivityMultiplier;
-
-                if (minDist < threshold) {
-                    // Additional z-depth check to reduce false positives
-                    // Hand should be roughly at same depth or closer than face
-                    const avgFaceZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
-                    const zDiff = tipPoint.z - avgFaceZ;
-
-                    // If hand is significantly behind face, ignore
-                    if (zDiff < 50) { // Allow some tolerance
-                        state.lastTouchedZone = region;
-                        return true;
-                    }
-                }
-            }
-        }
-    }
+// ============================================================================
+// Face Touch Detection
+// ============================================================================
 
-    state.lastTouchedZone = null;
-    return false;
+// Zone colors as RGB triplets (matching CSS toggle colors)
+const ZONE_COLORS = {
+    mouth: '239, 68, 68',
+    nose: '245, 158, 11',
+    leftEye: '14, 165, 233',
+    rightEye: '14, 165, 233',
+    leftCheek: '139, 92, 246',
+    rightCheek: '139, 92, 246',
+    chin: '34, 197, 94',
+    forehead: '236, 72, 153',
+    leftScalp: '234, 179, 8',
+    rightScalp: '234, 179, 8',
+    leftEar: '20, 184, 166',
+    rightEar: '20, 184, 166'
+};
+
+// RGB triplet for a built-in or custom zone
+function getZoneColor(zone) {
+    if (ZONE_COLORS[zone]) return ZONE_COLORS[zone];
+
+    const custom = state.settings.customZones.find(z => z.id === zone);
+    if (!custom) return '148, 163, 184';
+
+    const value = parseInt(custom.color.slice(1), 16);
+    return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+}
+
+// Hand colors (RGB triplets) for the per-finger breakdowns
+const HAND_COLORS = {
+    left: '56, 189, 248',
+    right: '244, 114, 182',
+    unknown: '148, 163, 184'
+};
+
+const FINGER_DISPLAY_NAMES = {
+    thumb: 'thumb',
+    index: 'index finger',
+    middle: 'middle finger',
+    ring: 'ring finger',
+    pinky: 'little finger'
+};
+
+// "Left thumb", or just "Thumb" when handedness is unknown
+function getFingerDisplayName(hand, finger) {
+    const name = FINGER_DISPLAY_NAMES[finger] || finger;
+    const label = hand && hand !== 'unknown' ? `${hand} ${name}` : name;
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// " (left thumb)" suffix for status text and notifications, empty when the finger is unknown
+function formatTouchSource(touch) {
+    if (!touch?.finger) return '';
+    return ` (${getFingerDisplayName(touch.hand, touch.finger).toLowerCase()})`;
+}
+
+// Event log label for a touch, biting or not, with the touching finger
+function getTouchLabel(event) {
+    const label = event.biting ? 'Nail biting' : `${getZoneDisplayName(event.zone)} touch`;
+    return label + formatTouchSource(event);
 }
 
 // Helper to get display name for a zone
@@ -631,440 +1153,1621 @@ function getZoneDisplayName(zone) {
         rightEye: 'Right Eye',
         leftCheek: 'Left Cheek',
         rightCheek: 'Right Cheek',
-        chin: 'Chin'
+        chin: 'Chin',
+        forehead: 'Forehead / Hairline',
+        leftScalp: 'Left Scalp',
+        rightScalp: 'Right Scalp',
+        leftEar: 'Left Ear',
+        rightEar: 'Right Ear'
     };
-    return names[zone] || zone;
+    if (names[zone]) return names[zone];
+
+    const custom = state.settings.customZones.find(z => z.id === zone);
+    if (custom) return custom.name;
+    return zone?.startsWith('custom-') ? 'Deleted zone' : zone;
 }
 
-function getMinDistance(point, targets) {
-    let minDist = Infinity;
-    for (const target of targets) {
-        const dx = point.x - target.x;
-        const dy = point.y - target.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < minDist) {
-            minDist = dist;
+// Distance and sensitivity sliders for each built-in and custom zone
+function renderZoneTuning() {
+    elements.zoneTuning.replaceChildren();
+
+    for (const region of getZoneIds(state.settings)) {
+        if (!state.settings.zoneSettings[region]) {
+            state.settings.zoneSettings[region] = { distance: 30, sensitivity: 100 };
         }
+        const zone = state.settings.zoneSettings[region];
+
+        const row = document.createElement('div');
+        row.className = 'zone-tuning-row';
+
+        const name = document.createElement('div');
+        name.className = 'zone-tuning-name';
+        name.style.setProperty('--zone-color', `rgb(${getZoneColor(region)})`);
+        name.textContent = getZoneDisplayName(region);
+
+        row.append(
+            name,
+            createTuningSlider(`${region}Distance`, 'Distance (share of eye distance)', { min: 10, max: 80, step: 5 }, zone.distance,
+                value => `${value}%`, ['10%', '80%'], (value) => { zone.distance = value; }),
+            createTuningSlider(`${region}Sensitivity`, 'Sensitivity', { min: 50, max: 200, step: 10 }, zone.sensitivity,
+                value => `${value}%`, ['Less', 'More'], (value) => { zone.sensitivity = value; })
+        );
+        elements.zoneTuning.append(row);
     }
-    return minDist;
+}
+
+// Same markup as the static .slider-control sliders
+function createTuningSlider(id, label, range, value, format, ends, onChange) {
+    const control = document.createElement('div');
+    control.className = 'slider-control';
+
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = id;
+    labelEl.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.id = id;
+    Object.assign(input, range);
+    input.value = value;
+
+    const labels = document.createElement('div');
+    labels.className = 'slider-labels';
+    const [minLabel, valueLabel, maxLabel] = [ends[0], format(value), ends[1]].map(text => {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span;
+    });
+    labels.append(minLabel, valueLabel, maxLabel);
+
+    input.addEventListener('input', () => {
+        const newValue = parseInt(input.value, 10);
+        valueLabel.textContent = format(newValue);
+        onChange(newValue);
+        saveSettings();
+    });
+
+    control.append(labelEl, input, labels);
+    return control;
 }
 
 // ============================================================================
-// Posture Detection (using lateral camera)
+// Custom Zones
 // ============================================================================
 
-// MediaPipe Pose Landmark indices for key body points
-const POSE_LANDMARKS = {
-    NOSE: 0,
-    LEFT_EYE_INNER: 1,
-    LEFT_EYE: 2,
-    LEFT_EYE_OUTER: 3,
-    RIGHT_EYE_INNER: 4,
-    RIGHT_EYE: 5,
-    RIGHT_EYE_OUTER: 6,
-    LEFT_EAR: 7,
-    RIGHT_EAR: 8,
-    MOUTH_LEFT: 9,
-    MOUTH_RIGHT: 10,
-    LEFT_SHOULDER: 11,
-    RIGHT_SHOULDER: 12,
-    LEFT_ELBOW: 13,
-    RIGHT_ELBOW: 14,
-    LEFT_WRIST: 15,
-    RIGHT_WRIST: 16,
-    LEFT_PINKY: 17,
-    RIGHT_PINKY: 18,
-    LEFT_INDEX: 19,
-    RIGHT_INDEX: 20,
-    LEFT_THUMB: 21,
-    RIGHT_THUMB: 22,
-    LEFT_HIP: 23,
-    RIGHT_HIP: 24,
-    LEFT_KNEE: 25,
-    RIGHT_KNEE: 26,
-    LEFT_ANKLE: 27,
-    RIGHT_ANKLE: 28,
-    LEFT_HEEL: 29,
-    RIGHT_HEEL: 30,
-    LEFT_FOOT_INDEX: 31,
-    RIGHT_FOOT_INDEX: 32
-};
+// Click radius for picking a single landmark, in display pixels
+const LANDMARK_PICK_RADIUS = 12;
 
-function checkPosture(poseLandmarks) {
-    if (!poseLandmarks || !state.settings.posture.enabled) {
-        state.currentPostureIssue = null;
-        return false;
-    }
+// Lasso paths shorter than this (display pixels) count as a click
+const LASSO_MIN_LENGTH = 10;
 
-    const issues = [];
-    const sensitivity = state.settings.posture.sensitivity / 100;
-
-    // Get key landmarks
-    const nose = poseLandmarks[POSE_LANDMARKS.NOSE];
-    const leftEar = poseLandmarks[POSE_LANDMARKS.LEFT_EAR];
-    const rightEar = poseLandmarks[POSE_LANDMARKS.RIGHT_EAR];
-    const leftShoulder = poseLandmarks[POSE_LANDMARKS.LEFT_SHOULDER];
-    const rightShoulder = poseLandmarks[POSE_LANDMARKS.RIGHT_SHOULDER];
-    const leftHip = poseLandmarks[POSE_LANDMARKS.LEFT_HIP];
-    const rightHip = poseLandmarks[POSE_LANDMARKS.RIGHT_HIP];
-
-    // 1. Check head forward position (ear should be roughly above shoulder from side view)
-    // In lateral view, if ear.x is significantly ahead of shoulder.x, head is forward
-    const headForwardThreshold = state.settings.posture.headForwardThreshold / sensitivity;
-
-    // Use the ear closest to camera (depending on which side the lateral camera is)
-    const ear = leftEar.visibility > rightEar.visibility ? leftEar : rightEar;
-    const shoulder = leftShoulder.visibility > rightShoulder.visibility ? leftShoulder : rightShoulder;
-
-    if (ear && shoulder && ear.visibility > 0.5 && shoulder.visibility > 0.5) {
-        // Calculate head forward angle
-        const headForwardAngle = calculateAngle(
-            { x: shoulder.x, y: shoulder.y - 0.1 }, // point above shoulder
-            shoulder,
-            ear
-        );
+// Custom zone rows: enable toggle, edit and delete
+function renderCustomZones() {
+    elements.customZoneList.replaceChildren();
 
-        // If ear is significantly forward of shoulder (angle deviates from vertical)
-        const headForwardDeviation = Math.abs(90 - headForwardAngle);
-        if (headForwardDeviation > headForwardThreshold) {
-            issues.push('Head forward');
-        }
-    }
+    for (const zone of state.settings.customZones) {
+        const item = document.createElement('li');
 
-    // 2. Check shoulder slouch (shoulders should be level)
-    const shoulderSlouchThreshold = state.settings.posture.shoulderSlouchThreshold / sensitivity;
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle-control';
 
-    if (leftShoulder && rightShoulder &&
-        leftShoulder.visibility > 0.5 && rightShoulder.visibility > 0.5) {
-        const shoulderAngle = Math.abs(
-            Math.atan2(rightShoulder.y - leftShoulder.y, rightShoulder.x - leftShoulder.x) * (180 / Math.PI)
-        );
-        if (shoulderAngle > shoulderSlouchThreshold) {
-            issues.push('Uneven shoulders');
-        }
-    }
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !!state.settings.zones[zone.id];
+        input.addEventListener('change', () => {
+            state.settings.zones[zone.id] = input.checked;
+            saveSettings();
+        });
 
-    // 3. Check spine alignment (from side view - ear, shoulder, hip should be relatively aligned)
-    const spineAngleThreshold = state.settings.posture.spineAngleThreshold / sensitivity;
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider zone-custom';
+        slider.style.setProperty('--zone-color', zone.color);
 
-    const hip = leftHip.visibility > rightHip.visibility ? leftHip : rightHip;
+        const label = document.createElement('span');
+        label.className = 'toggle-label';
+        label.textContent = zone.name;
 
-    if (ear && shoulder && hip &&
-        ear.visibility > 0.5 && shoulder.visibility > 0.5 && hip.visibility > 0.5) {
-        // Calculate the angle formed by ear-shoulder-hip
-        const spineAngle = calculateAngle(ear, shoulder, hip);
-        const spineDeviation = Math.abs(180 - spineAngle);
+        toggle.append(input, slider, label);
 
-        if (spineDeviation > spineAngleThreshold) {
-            issues.push('Spine curved');
-        }
-    }
+        const editButton = document.createElement('button');
+        editButton.className = 'btn-link';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => openZoneEditor(zone));
 
-    // 4. Check if shoulders are hunched forward (shoulder significantly ahead of hip in x)
-    if (shoulder && hip && shoulder.visibility > 0.5 && hip.visibility > 0.5) {
-        const hunchThreshold = 0.05 / sensitivity; // normalized coordinates
-        if (shoulder.x - hip.x > hunchThreshold) {
-            issues.push('Shoulders hunched');
-        }
-    }
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn-link';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteCustomZone(zone));
 
-    if (issues.length > 0) {
-        state.currentPostureIssue = issues.join(', ');
-        return true;
+        item.append(toggle, editButton, deleteButton);
+        elements.customZoneList.appendChild(item);
     }
+}
 
-    state.currentPostureIssue = null;
-    return false;
+// Start editing an existing zone, or a new one when called without a zone
+function openZoneEditor(zone = null) {
+    state.zoneEditor = {
+        id: zone ? zone.id : null,
+        landmarks: new Set(zone ? zone.landmarks : []),
+        lasso: null
+    };
+
+    elements.customZoneName.value = zone ? zone.name : '';
+    elements.customZoneColor.value = zone ? zone.color : '#f97316';
+    elements.zoneEditor.hidden = false;
+    elements.addCustomZoneButton.hidden = true;
+    elements.videoWrapper.classList.add('editing');
+    updateZoneSelection();
+    elements.customZoneName.focus();
 }
 
-function calculateAngle(pointA, pointB, pointC) {
-    // Calculate angle at pointB formed by pointA-pointB-pointC
-    const radians = Math.atan2(pointC.y - pointB.y, pointC.x - pointB.x) -
-                    Math.atan2(pointA.y - pointB.y, pointA.x - pointB.x);
-    let angle = Math.abs(radians * (180 / Math.PI));
-    if (angle > 180) {
-        angle = 360 - angle;
-    }
-    return angle;
+function closeZoneEditor() {
+    state.zoneEditor = null;
+    elements.zoneEditor.hidden = true;
+    elements.addCustomZoneButton.hidden = false;
+    elements.videoWrapper.classList.remove('editing');
 }
 
-function detectPostureFrame() {
-    if (!state.isRunning || !state.settings.posture.enabled || !state.lateralVideo) {
-        return null;
+function updateZoneSelection() {
+    const count = state.zoneEditor.landmarks.size;
+    elements.customZoneSelection.textContent = `${count} landmark${count === 1 ? '' : 's'} selected`;
+}
+
+function saveCustomZone() {
+    const editor = state.zoneEditor;
+    const name = elements.customZoneName.value.trim();
+
+    if (!name) {
+        alert('Please give the zone a name.');
+        return;
+    }
+    if (editor.landmarks.size === 0) {
+        alert('Please select at least one landmark on the face.');
+        return;
     }
 
-    const now = performance.now();
+    const zone = {
+        id: editor.id || `custom-${Date.now().toString(36)}`,
+        name,
+        color: elements.customZoneColor.value,
+        landmarks: [...editor.landmarks].sort((a, b) => a - b)
+    };
 
-    try {
-        // Get pose landmarks from lateral camera
-        const poseResults = state.poseLandmarker.detectForVideo(state.lateralVideo, now);
-        const poseLandmarks = poseResults.landmarks?.[0] || null;
+    const index = state.settings.customZones.findIndex(z => z.id === zone.id);
+    if (index >= 0) {
+        state.settings.customZones[index] = zone;
+    } else {
+        // New zones start enabled with the default distance and sensitivity
+        state.settings.customZones.push(zone);
+        state.settings.zones[zone.id] = true;
+        state.settings.zoneSettings[zone.id] = { distance: 30, sensitivity: 100 };
+    }
 
-        // Clear lateral canvas
-        if (state.lateralCtx) {
-            state.lateralCtx.clearRect(0, 0, state.lateralCanvas.width, state.lateralCanvas.height);
+    saveSettings();
+    closeZoneEditor();
+    renderCustomZones();
+    renderZoneTuning();
+    renderZoneCounts();
+}
 
-            // Draw pose landmarks if enabled
-            if (poseLandmarks && state.settings.posture.showPoseLandmarks) {
-                drawPoseLandmarks(poseLandmarks);
-            }
-        }
+function deleteCustomZone(zone) {
+    if (!confirm(`Delete the custom zone "${zone.name}"?`)) return;
 
-        return poseLandmarks;
-    } catch (error) {
-        console.warn('Posture detection error:', error);
-        return null;
+    if (state.zoneEditor?.id === zone.id) {
+        closeZoneEditor();
     }
+
+    state.settings.customZones = state.settings.customZones.filter(z => z.id !== zone.id);
+    delete state.settings.zones[zone.id];
+    delete state.settings.zoneSettings[zone.id];
+
+    saveSettings();
+    renderCustomZones();
+    renderZoneTuning();
+    renderZoneCounts();
 }
 
-function drawPoseLandmarks(landmarks) {
-    if (!state.lateralCtx || !landmarks) return;
+// Pointer position as a normalized landmark coordinate, undoing the mirrored display
+function getPointerLandmark(e) {
+    const rect = elements.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    return {
+        x: state.mirrored ? 1 - x : x,
+        y: (e.clientY - rect.top) / rect.height
+    };
+}
 
-    const ctx = state.lateralCtx;
-    const width = state.lateralCanvas.width;
-    const height = state.lateralCanvas.height;
+function startLandmarkPick(e) {
+    if (!state.zoneEditor) return;
+    e.preventDefault();
+    elements.canvas.setPointerCapture(e.pointerId);
+    state.zoneEditor.lasso = [getPointerLandmark(e)];
+}
 
-    // Draw connections
-    const connections = PoseLandmarker.POSE_CONNECTIONS;
-    ctx.strokeStyle = state.isBadPosture ? 'rgba(239, 68, 68, 0.8)' : 'rgba(34, 197, 94, 0.8)';
-    ctx.lineWidth = 2;
+function extendLandmarkPick(e) {
+    if (!state.zoneEditor?.lasso) return;
+    state.zoneEditor.lasso.push(getPointerLandmark(e));
+}
 
-    for (const connection of connections) {
-        const start = landmarks[connection.start];
-        const end = landmarks[connection.end];
+// A click toggles the nearest landmark, a lasso adds every landmark inside it
+function finishLandmarkPick() {
+    const editor = state.zoneEditor;
+    if (!editor?.lasso) return;
 
-        if (start.visibility > 0.5 && end.visibility > 0.5) {
-            ctx.beginPath();
-            ctx.moveTo(start.x * width, start.y * height);
-            ctx.lineTo(end.x * width, end.y * height);
-            ctx.stroke();
+    const lasso = editor.lasso;
+    editor.lasso = null;
+
+    const face = state.lastFace;
+    if (!face) return;
+
+    const rect = elements.canvas.getBoundingClientRect();
+    const toPixels = (a, b) => Math.hypot((a.x - b.x) * rect.width, (a.y - b.y) * rect.height);
+
+    let length = 0;
+    for (let i = 1; i < lasso.length; i++) {
+        length += toPixels(lasso[i - 1], lasso[i]);
+    }
+
+    if (length < LASSO_MIN_LENGTH) {
+        let nearest = -1;
+        let nearestDistance = LANDMARK_PICK_RADIUS;
+        face.forEach((lm, index) => {
+            const distance = toPixels(lm, lasso[0]);
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+
+        if (nearest >= 0 && !editor.landmarks.delete(nearest)) {
+            editor.landmarks.add(nearest);
         }
+    } else {
+        face.forEach((lm, index) => {
+            if (isInsidePolygon(lm, lasso)) {
+                editor.landmarks.add(index);
+            }
+        });
     }
 
-    // Draw landmarks
-    for (let i = 0; i < landmarks.length; i++) {
-        const lm = landmarks[i];
-        if (lm.visibility > 0.5) {
-            const x = lm.x * width;
-            const y = lm.y * height;
+    updateZoneSelection();
+}
 
-            // Highlight key posture points
-            const isKeyPoint = [
-                POSE_LANDMARKS.NOSE,
-                POSE_LANDMARKS.LEFT_EAR,
-                POSE_LANDMARKS.RIGHT_EAR,
-                POSE_LANDMARKS.LEFT_SHOULDER,
-                POSE_LANDMARKS.RIGHT_SHOULDER,
-                POSE_LANDMARKS.LEFT_HIP,
-                POSE_LANDMARKS.RIGHT_HIP
-            ].includes(i);
+// Every landmark as a faint dot, the selection in the zone color, and the lasso in progress
+function drawZoneEditor(faceLandmarks) {
+    const editor = state.zoneEditor;
+    const width = state.canvas.width;
+    const height = state.canvas.height;
+    const color = elements.customZoneColor.value;
 
-            const radius = isKeyPoint ? 6 : 3;
-            const color = isKeyPoint
-                ? (state.isBadPosture ? 'rgba(239, 68, 68, 1)' : 'rgba(245, 158, 11, 1)')
-                : 'rgba(34, 197, 94, 0.6)';
+    if (faceLandmarks) {
+        faceLandmarks.forEach((lm, index) => {
+            const selected = editor.landmarks.has(index);
+            state.ctx.beginPath();
+            state.ctx.arc(lm.x * width, lm.y * height, selected ? 4 : 1.5, 0, 2 * Math.PI);
+            state.ctx.fillStyle = selected ? color : 'rgba(255, 255, 255, 0.4)';
+            state.ctx.fill();
+        });
+    }
 
-            ctx.beginPath();
-            ctx.arc(x, y, radius, 0, 2 * Math.PI);
-            ctx.fillStyle = color;
-            ctx.fill();
-        }
+    if (editor.lasso && editor.lasso.length > 1) {
+        state.ctx.strokeStyle = color;
+        state.ctx.lineWidth = 2;
+        state.ctx.setLineDash([6, 4]);
+        state.ctx.beginPath();
+        editor.lasso.forEach((point, i) => {
+            const draw = i === 0 ? 'moveTo' : 'lineTo';
+            state.ctx[draw](point.x * width, point.y * height);
+        });
+        state.ctx.stroke();
+        state.ctx.setLineDash([]);
     }
 }
 
 // ============================================================================
-// Touch State Handling
+// Screen Distance
 // ============================================================================
 
-function handleTouchState(touchDetected, faceVisible) {
-    state.wasTouching = state.isTouching;
-    state.isTouching = touchDetected;
+// How long the face size is sampled for a distance calibration
+const DISTANCE_CALIBRATION_MS = 2000;
 
-    // Update status display
-    updateDetectionStatus(faceVisible, touchDetected);
+// Sample the face size while the user sits at the distance entered
+function startDistanceCalibration() {
+    const distanceCm = parseInt(elements.calibrationDistanceInput.value, 10);
 
-    // Handle touch state transitions
-    if (touchDetected && !state.wasTouching) {
-        // New touch started - trigger immediately and start continuous beep timer
-        triggerAlert();
-        startContinuousBeep();
-    } else if (!touchDetected && state.wasTouching) {
-        // Touch ended - stop continuous beep
-        stopContinuousBeep();
+    if (!state.isRunning) {
+        alert('Start monitoring first, so your face can be measured.');
+        return;
     }
+    if (!(distanceCm >= 20 && distanceCm <= 200)) {
+        alert('Please enter the distance between your eyes and the screen, between 20 and 200 cm.');
+        return;
+    }
+
+    state.distanceCalibration = { distanceCm, sizes: [], startTime: null };
+    renderDistanceCalibration();
 }
 
-function startContinuousBeep() {
-    // Clear any existing timer
-    stopContinuousBeep();
+function updateDistanceCalibration(frame) {
+    const calibration = state.distanceCalibration;
+    if (calibration.startTime === null) {
+        calibration.startTime = frame.timestamp;
+    }
+
+    calibration.sizes.push(measureFaceSize(frame.face, state.canvas.width, state.canvas.height));
+
+    if (frame.timestamp - calibration.startTime >= DISTANCE_CALIBRATION_MS) {
+        const result = calibrateScreenDistance(calibration.sizes, calibration.distanceCm);
+        state.distanceCalibration = null;
 
-    // Set up interval to beep continuously while touching
-    state.continuousBeepTimer = setInterval(() => {
-        if (state.isTouching) {
-            triggerContinuousAlert();
+        if (result) {
+            state.settings.screenDistance.calibration = { ...result, capturedAt: Date.now() };
+            saveSettings();
         } else {
-            stopContinuousBeep();
+            alert('Calibration failed: your face could not be measured. Please try again.');
         }
-    }, state.settings.alertCooldownMs);
+        renderDistanceCalibration();
+    }
 }
 
-function stopContinuousBeep() {
-    if (state.continuousBeepTimer) {
-        clearInterval(state.continuousBeepTimer);
-        state.continuousBeepTimer = null;
+function renderDistanceCalibration() {
+    const calibration = state.settings.screenDistance.calibration;
+    elements.calibrateDistanceButton.disabled = state.distanceCalibration !== null;
+    elements.calibrateDistanceButton.textContent = calibration ? 'Recalibrate' : 'Calibrate';
+
+    if (state.distanceCalibration) {
+        elements.distanceCalibrationStatus.textContent = 'Hold still at that distance - measuring your face...';
+    } else if (calibration) {
+        elements.distanceCalibrationStatus.textContent =
+            `Calibrated at ${calibration.distanceCm} cm on ${new Date(calibration.capturedAt).toLocaleString()}.`;
+    } else {
+        elements.distanceCalibrationStatus.textContent =
+            'Not calibrated yet. Sit at a measured distance from the screen, enter it and click Calibrate.';
     }
 }
 
+// Current distance, warnings and time spent too close this session
+function renderDistanceStats() {
+    elements.screenDistanceValue.textContent = state.screenDistance === null ? '--' : `${Math.round(state.screenDistance)} cm`;
+    elements.distanceAlertCount.textContent = state.distanceAlertCount;
+
+    const ongoingMs = state.tooCloseSince === null ? 0 : state.lastFrameTime - state.tooCloseSince;
+    elements.distanceCloseTime.textContent = formatPostureTime(state.tooCloseMs + ongoingMs);
+}
+
 // ============================================================================
-// Posture Alert Handling
+// Blink Rate
 // ============================================================================
 
-function handlePostureState(badPostureDetected) {
-    state.wasBadPosture = state.isBadPosture;
-    state.isBadPosture = badPostureDetected;
-
-    // Update posture status display
-    updatePostureStatus(badPostureDetected);
+// Current rate, blinks and low-rate alerts this session
+function renderBlinkStats() {
+    elements.blinkRateValue.textContent = state.blinksPerMinute === null ? '--' : `${state.blinksPerMinute}/min`;
+    elements.blinkCount.textContent = state.blinkCount;
+    elements.blinkAlertCount.textContent = state.blinkAlertCount;
+}
 
-    // Handle posture state transitions
-    if (badPostureDetected && !state.wasBadPosture) {
-        // New bad posture detected - trigger immediately and start continuous alert
-        triggerPostureAlert();
-        startPostureContinuousAlert();
-    } else if (!badPostureDetected && state.wasBadPosture) {
-        // Posture corrected - stop continuous alert
-        stopPostureContinuousAlert();
+// ============================================================================
+// Breaks
+// ============================================================================
+
+function handleUserLeft(event) {
+    state.isAway = true;
+    state.leftWithBreakDue = event.overdueMs !== null;
+}
+
+function handleUserReturned(event) {
+    state.isAway = false;
+    if (event.tookBreak) {
+        state.breaksTaken++;
+        countHistoryEvent('break');
+        if (state.leftWithBreakDue) {
+            state.breaksAfterReminder++;
+            countHistoryEvent('break-after-reminder');
+        }
+        saveHistoryEvent('break', { ...event, durationMs: event.awayMs, afterReminder: state.leftWithBreakDue });
     }
+    state.leftWithBreakDue = false;
 }
 
-function startPostureContinuousAlert() {
-    stopPostureContinuousAlert();
+// Share of due breaks that were taken, e.g. "75%"
+function formatBreakCompliance(breaksAfterReminder, breaksDue) {
+    return breaksDue > 0 ? `${Math.round((breaksAfterReminder / breaksDue) * 100)}%` : '--';
+}
 
-    state.postureBeepTimer = setInterval(() => {
-        if (state.isBadPosture) {
-            triggerPostureContinuousAlert();
-        } else {
-            stopPostureContinuousAlert();
+// Sitting time, breaks taken and how many due breaks were taken this session
+function renderBreakStats() {
+    elements.sittingTime.textContent = state.settings.breaks.enabled ? formatPostureTime(state.engine.sittingMs) : '--';
+    elements.breaksTaken.textContent = state.breaksTaken;
+    elements.breakCompliance.textContent = formatBreakCompliance(state.breaksAfterReminder, state.breakDueCount);
+    elements.breakSummary.textContent =
+        `${state.breakDueCount} break reminder${state.breakDueCount === 1 ? '' : 's'}, ` +
+        `${state.eyeBreakCount} eye break reminder${state.eyeBreakCount === 1 ? '' : 's'} this session`;
+}
+
+// ============================================================================
+// Posture Detection (using lateral camera)
+// ============================================================================
+
+function detectPostureFrame(video, now) {
+    try {
+        const poseResults = state.poseLandmarker.detectForVideo(video, now);
+        return poseResults.landmarks?.[0] || null;
+    } catch (error) {
+        console.warn('Posture detection error:', error);
+        return null;
+    }
+}
+
+function drawPostureFrame(poseLandmarks) {
+    if (!state.lateralCtx) return;
+
+    // Clear lateral canvas
+    state.lateralCtx.clearRect(0, 0, state.lateralCanvas.width, state.lateralCanvas.height);
+
+    // Draw pose landmarks if enabled
+    if (poseLandmarks && state.settings.posture.showPoseLandmarks) {
+        drawPoseLandmarks(poseLandmarks, state.lateralCtx, state.lateralCanvas.width, state.lateralCanvas.height);
+    }
+}
+
+// Time to get into position before the capture starts
+const CALIBRATION_COUNTDOWN_MS = 3000;
+
+// Guided capture of the user's good posture on the current posture camera
+function startPostureCalibration() {
+    const front = state.settings.posture.view === 'front';
+    if (!state.isRunning || !state.settings.posture.enabled || (!front && !state.lateralStream)) {
+        alert(front
+            ? 'Start monitoring with posture detection enabled first.'
+            : 'Start monitoring with posture detection enabled and a lateral camera selected first.');
+        return;
+    }
+
+    state.postureCalibration = {
+        calibration: createPostureCalibration({ view: state.settings.posture.view }),
+        startAt: performance.now() + CALIBRATION_COUNTDOWN_MS
+    };
+    renderPostureCalibration();
+}
+
+function updatePostureCalibration(poseLandmarks, timestamp) {
+    const { calibration, startAt } = state.postureCalibration;
+
+    if (timestamp < startAt) {
+        const seconds = Math.ceil((startAt - timestamp) / 1000);
+        elements.postureCalibrationStatus.textContent = `Sit up straight, facing your screen. Starting in ${seconds}s...`;
+        return;
+    }
+
+    calibration.add(poseLandmarks, timestamp);
+    elements.postureCalibrationStatus.textContent = 'Hold still - capturing your good posture...';
+    elements.postureCalibrationProgress.firstElementChild.style.width = `${Math.round(calibration.progress * 100)}%`;
+
+    if (calibration.isComplete) {
+        finishPostureCalibration();
+    }
+}
+
+function finishPostureCalibration() {
+    const baseline = state.postureCalibration.calibration.getBaseline();
+    state.postureCalibration = null;
+
+    if (baseline) {
+        state.settings.posture.baselines[getPostureBaselineKey(state.settings)] = { ...baseline, capturedAt: Date.now() };
+        saveSettings();
+        state.engine.resetPosture();
+    } else {
+        alert('Calibration failed: your ears and shoulders were not visible enough. Check the camera and try again.');
+    }
+    renderPostureCalibration();
+}
+
+function resetPostureCalibration() {
+    delete state.settings.posture.baselines[getPostureBaselineKey(state.settings)];
+    saveSettings();
+    state.engine.resetPosture();
+    renderPostureCalibration();
+}
+
+// Calibration state of the selected lateral camera
+function renderPostureCalibration() {
+    const calibrating = state.postureCalibration !== null;
+    const baseline = getPostureBaseline(state.settings);
+
+    elements.postureCalibrationProgress.hidden = !calibrating;
+    elements.postureCalibrationProgress.firstElementChild.style.width = '0%';
+    elements.calibratePostureButton.disabled = calibrating;
+    elements.calibratePostureButton.textContent = baseline ? 'Recalibrate' : 'Calibrate';
+    elements.resetCalibrationButton.disabled = calibrating || !baseline;
+
+    if (calibrating) {
+        elements.postureCalibrationStatus.textContent = 'Get ready...';
+    } else if (baseline) {
+        elements.postureCalibrationStatus.textContent =
+            `Calibrated for this camera on ${new Date(baseline.capturedAt).toLocaleString()}. Thresholds apply to deviations from it.`;
+    } else {
+        elements.postureCalibrationStatus.textContent = 'Not calibrated - thresholds apply to absolute angles.';
+    }
+}
+
+function drawPoseLandmarks(landmarks, ctx, width, height) {
+    if (!ctx || !landmarks) return;
+
+    // Draw connections
+    const connections = PoseLandmarker.POSE_CONNECTIONS;
+    ctx.strokeStyle = state.engine.isBadPosture ? 'rgba(239, 68, 68, 0.8)' : 'rgba(34, 197, 94, 0.8)';
+    ctx.lineWidth = 2;
+
+    for (const connection of connections) {
+        const start = landmarks[connection.start];
+        const end = landmarks[connection.end];
+
+        if (start.visibility > 0.5 && end.visibility > 0.5) {
+            ctx.beginPath();
+            ctx.moveTo(start.x * width, start.y * height);
+            ctx.lineTo(end.x * width, end.y * height);
+            ctx.stroke();
+        }
+    }
+
+    // Draw landmarks
+    for (let i = 0; i < landmarks.length; i++) {
+        const lm = landmarks[i];
+        if (lm.visibility > 0.5) {
+            const x = lm.x * width;
+            const y = lm.y * height;
+
+            // Highlight key posture points
+            const isKeyPoint = [
+                POSE_LANDMARKS.NOSE,
+                POSE_LANDMARKS.LEFT_EAR,
+                POSE_LANDMARKS.RIGHT_EAR,
+                POSE_LANDMARKS.LEFT_SHOULDER,
+                POSE_LANDMARKS.RIGHT_SHOULDER,
+                POSE_LANDMARKS.LEFT_HIP,
+                POSE_LANDMARKS.RIGHT_HIP
+            ].includes(i);
+
+            const radius = isKeyPoint ? 6 : 3;
+            const color = isKeyPoint
+                ? (state.engine.isBadPosture ? 'rgba(239, 68, 68, 1)' : 'rgba(245, 158, 11, 1)')
+                : 'rgba(34, 197, 94, 0.6)';
+
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fillStyle = color;
+            ctx.fill();
+        }
+    }
+}
+
+// ============================================================================
+// Detection Engine Wiring
+// ============================================================================
+
+function initializeEngine() {
+    state.engine = createDetectionEngine(state.settings)
+        .on('touch-start', triggerAlert)
+        .on('touch-repeat', triggerContinuousAlert)
+        .on('bite-start', triggerBiteAlert)
+        .on('approach-warning', triggerApproachWarning)
+        .on('distance-warning', triggerDistanceAlert)
+        .on('distance-repeat', triggerDistanceContinuousAlert)
+        .on('distance-corrected', (event) => {
+            state.tooCloseMs += event.durationMs;
+            state.tooCloseSince = null;
+        })
+        .on('blink', () => state.blinkCount++)
+        .on('blink-rate-low', triggerBlinkAlert)
+        .on('blink-rate-repeat', triggerBlinkContinuousAlert)
+        .on('user-left', handleUserLeft)
+        .on('user-returned', handleUserReturned)
+        .on('break-due', triggerBreakReminder)
+        .on('break-repeat', triggerBreakReminder)
+        .on('eye-break-due', triggerEyeBreakReminder)
+        .on('posture-issue', triggerPostureAlert)
+        .on('posture-repeat', triggerPostureContinuousAlert)
+        .on('touch-end', endTouchAlert)
+        .on('distance-corrected', (event) => dispatchAlert('distance', 'end', event, { message: 'Back at a good distance from the screen' }))
+        .on('blink-rate-recovered', (event) => dispatchAlert('blink', 'end', event, { message: 'Blink rate back to normal' }))
+        .on('posture-corrected', (event) => dispatchAlert('posture', 'end', event, {
+            issue: event.issue,
+            message: `Posture corrected after ${formatPostureTime(event.durationMs)}`
+        }))
+        .on('touch-start', (event) => logEventStart('touch', getTouchLabel(event), event))
+        .on('bite-start', (event) => relabelOpenEvent('touch', getTouchLabel(event)))
+        .on('touch-end', (event) => logEventEnd('touch', event))
+        .on('distance-warning', (event) => logEventStart('distance', `Too close to the screen (${event.distanceCm} cm)`, event))
+        .on('distance-corrected', (event) => logEventEnd('distance', event))
+        .on('blink-rate-low', (event) => logEventStart('blink', `Low blink rate (${event.blinksPerMinute}/min)`, event))
+        .on('blink-rate-recovered', (event) => logEventEnd('blink', event))
+        .on('break-due', (event) => logEventStart('break', `Break due after ${Math.floor(event.sittingMs / 60000)} min sitting`, event))
+        .on('user-left', (event) => {
+            // A due break stays open until the user gets up
+            if (event.overdueMs !== null) logEventEnd('break', { durationMs: event.overdueMs });
+            logEventStart('away', 'Away', event);
+        })
+        .on('user-returned', (event) => {
+            if (event.tookBreak) relabelOpenEvent('away', 'Break');
+            logEventEnd('away', { durationMs: event.awayMs });
+        })
+        .on('posture-issue', (event) => logEventStart('posture', event.issue, event))
+        .on('posture-corrected', (event) => logEventEnd('posture', event))
+        .on('touch-start', (event) => {
+            countHistoryEvent('touch');
+            if (event.biting) countHistoryEvent('bite');
+        })
+        .on('bite-start', () => countHistoryEvent('bite'))
+        .on('touch-end', (event) => saveHistoryEvent('touch', event))
+        .on('posture-issue', () => countHistoryEvent('posture'))
+        .on('posture-corrected', (event) => saveHistoryEvent('posture', event));
+
+    for (const type of STREAMED_EVENTS) {
+        state.engine.on(type, (event) => state.eventStream.sendEvent(event, getEventTime(event)));
+    }
+}
+
+// ============================================================================
+// Session History (IndexedDB)
+// ============================================================================
+
+async function initializeHistory() {
+    try {
+        state.history.db = await openHistory();
+        state.history.totals = await getTotals(state.history.db);
+        state.history.dayKey = new Date().toDateString();
+    } catch (error) {
+        console.warn('Session history unavailable:', error);
+    }
+    updateHistoryTotals();
+    renderHistoryCharts();
+}
+
+function isHistoryActive() {
+    return state.history.db !== null && state.source === 'camera';
+}
+
+// Saving events and ending the session wait for the session to be stored,
+// so a short run stopped before that still ends up complete in the history
+function beginHistorySession() {
+    if (!isHistoryActive()) return;
+
+    state.history.session = startSession(state.history.db, state.source).catch(error => {
+        console.warn('Failed to start history session:', error);
+        return null;
+    });
+}
+
+function endHistorySession() {
+    const session = state.history.session;
+    if (!session) return;
+    state.history.session = null;
+
+    session
+        .then(async (sessionId) => {
+            if (sessionId === null) return;
+            await endSession(state.history.db, sessionId);
+            renderHistoryCharts();
+        })
+        .catch(error => {
+            console.warn('Failed to end history session:', error);
+        });
+}
+
+// Count an event in the totals as soon as it starts
+function countHistoryEvent(type) {
+    if (!isHistoryActive() || !state.history.totals) return;
+
+    // Day rolled over while monitoring - start counting the new day from zero
+    const dayKey = new Date().toDateString();
+    if (dayKey !== state.history.dayKey) {
+        state.history.dayKey = dayKey;
+        state.history.totals.day = createTotals();
+    }
+
+    const key = {
+        touch: 'touches',
+        bite: 'bites',
+        posture: 'posture',
+        'break-due': 'breaksDue',
+        break: 'breaks',
+        'break-after-reminder': 'breaksAfterReminder'
+    }[type];
+    state.history.totals.lifetime[key]++;
+    state.history.totals.day[key]++;
+    updateHistoryTotals();
+}
+
+// Store an event once it has ended and its duration is known
+function saveHistoryEvent(type, event) {
+    if (!isHistoryActive() || !state.history.session) return;
+
+    // Timed now, from the current frame, even though it is stored once the session is
+    const record = {
+        type,
+        timestamp: getEventTime(event) - event.durationMs,
+        durationMs: event.durationMs,
+        zone: event.zone || null,
+        hand: event.hand || null,
+        finger: event.finger || null,
+        biting: type === 'touch' && state.settings.bitingConfirmation ? event.biting : null,
+        issue: event.issue || null,
+        metrics: event.metrics || null,
+        afterReminder: event.afterReminder ?? null
+    };
+    state.history.session
+        .then(sessionId => sessionId !== null && addEvent(state.history.db, { sessionId, ...record }))
+        .catch(error => {
+            console.warn('Failed to save event to history:', error);
+        });
+}
+
+// Time ranges offered in the history view
+const HISTORY_RANGES = {
+    '24h': { period: 'hour', count: 24, labelEvery: 6 },
+    '7d': { period: 'day', count: 7, labelEvery: 1 },
+    '30d': { period: 'day', count: 30, labelEvery: 7 }
+};
+
+// Wait this long after the last resize event before redrawing the charts
+const HISTORY_RESIZE_DELAY_MS = 150;
+
+async function renderHistoryCharts() {
+    if (!state.history.db) {
+        elements.historyHint.textContent = 'History is unavailable in this browser.';
+        return;
+    }
+
+    const range = HISTORY_RANGES[state.settings.historyRange] || HISTORY_RANGES['7d'];
+    const now = Date.now();
+
+    // Step back from the current period one period at a time (calendar aware)
+    const firstPeriod = new Date(startOfPeriod(now, range.period));
+    if (range.period === 'hour') {
+        firstPeriod.setHours(firstPeriod.getHours() - (range.count - 1));
+    } else {
+        firstPeriod.setDate(firstPeriod.getDate() - (range.count - 1));
+    }
+    const from = firstPeriod.getTime();
+
+    let events;
+    try {
+        events = (await getEvents(state.history.db, from, now)).filter(e => e.type === 'touch');
+    } catch (error) {
+        console.warn('Failed to read history:', error);
+        return;
+    }
+
+    state.history.charts = { range, from, now, events };
+    drawHistoryCharts();
+}
+
+// Draw the history charts from the events loaded by renderHistoryCharts
+function drawHistoryCharts() {
+    if (!state.history.charts) return;
+
+    const { range, from, now, events } = state.history.charts;
+    elements.historyHint.textContent = `${events.length} touches in this period`;
+
+    drawBarChart(elements.historyTimeline, countByPeriod(events, range.period, from, now), {
+        labelEvery: range.labelEvery,
+        formatLabel: (time) => {
+            const date = new Date(time);
+            return range.period === 'hour' ? `${date.getHours()}h` : `${date.getDate()}/${date.getMonth() + 1}`;
         }
-    }, state.settings.posture.alertCooldownMs);
+    });
+
+    drawHeatmap(elements.historyHeatmap, countByWeekdayHour(events));
+
+    drawBreakdown(elements.historyZones, Object.entries(countBy(events, 'zone')).map(([zone, count]) => ({
+        label: getZoneDisplayName(zone),
+        value: count,
+        color: `rgb(${getZoneColor(zone)})`
+    })));
+
+    const fingerEvents = events.filter(e => e.finger).map(e => ({ ...e, source: `${e.hand || 'unknown'}:${e.finger}` }));
+    drawBreakdown(elements.historyFingers, Object.entries(countBy(fingerEvents, 'source')).map(([source, count]) => {
+        const [hand, finger] = source.split(':');
+        return {
+            label: getFingerDisplayName(hand, finger),
+            value: count,
+            color: `rgb(${HAND_COLORS[hand] || HAND_COLORS.unknown})`
+        };
+    }));
+}
+
+function updateHistoryTotals() {
+    const totals = state.history.totals;
+    elements.todayTouchTotal.textContent = totals ? totals.day.touches : '--';
+    elements.lifetimeTouchTotal.textContent = totals ? totals.lifetime.touches : '--';
+    elements.todayBiteTotal.textContent = totals ? totals.day.bites : '--';
+    elements.lifetimeBiteTotal.textContent = totals ? totals.lifetime.bites : '--';
+    elements.todayPostureTotal.textContent = totals ? totals.day.posture : '--';
+    elements.lifetimePostureTotal.textContent = totals ? totals.lifetime.posture : '--';
+    elements.todayBreakDueTotal.textContent = totals ? totals.day.breaksDue : '--';
+    elements.lifetimeBreakDueTotal.textContent = totals ? totals.lifetime.breaksDue : '--';
+    elements.todayBreakTotal.textContent = totals ? totals.day.breaks : '--';
+    elements.lifetimeBreakTotal.textContent = totals ? totals.lifetime.breaks : '--';
+    elements.todayBreakCompliance.textContent = totals
+        ? formatBreakCompliance(totals.day.breaksAfterReminder, totals.day.breaksDue) : '--';
+    elements.lifetimeBreakCompliance.textContent = totals
+        ? formatBreakCompliance(totals.lifetime.breaksAfterReminder, totals.lifetime.breaksDue) : '--';
+}
+
+// ============================================================================
+// History Export & Import
+// ============================================================================
+
+// Selected export range in epoch milliseconds; empty dates leave that end open
+function getExportRange() {
+    const parseDay = (value) => {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    };
+
+    const from = elements.exportFrom.value ? parseDay(elements.exportFrom.value).getTime() : null;
+    let to = null;
+    if (elements.exportTo.value) {
+        const end = parseDay(elements.exportTo.value);
+        end.setDate(end.getDate() + 1);
+        to = end.getTime() - 1;
+    }
+    return { from, to };
+}
+
+async function exportHistory(format) {
+    if (!state.history.db) {
+        alert('History is unavailable in this browser.');
+        return;
+    }
+
+    const { from, to } = getExportRange();
+    let sessions;
+    let events;
+    try {
+        events = await getEvents(state.history.db, from ?? 0, to ?? Infinity);
+        sessions = await getSessions(state.history.db);
+    } catch (error) {
+        console.error('Failed to read history for export:', error);
+        alert('Unable to read the history. Please try again.');
+        return;
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+        downloadFile(`face-touch-history-${stamp}.csv`, eventsToCSV(events), 'text/csv');
+    } else {
+        downloadFile(`face-touch-history-${stamp}.json`, serializeHistory({ sessions, events, from, to }), 'application/json');
+    }
+}
+
+async function importHistoryFile(file) {
+    if (!state.history.db) {
+        alert('History is unavailable in this browser.');
+        return;
+    }
+
+    let data;
+    try {
+        data = parseHistory(await file.text());
+    } catch (error) {
+        console.error('Failed to load history file:', error);
+        alert('Unable to read this file. Please choose a JSON history export.');
+        return;
+    }
+
+    try {
+        const added = await importHistory(state.history.db, data);
+        state.history.totals = await getTotals(state.history.db);
+        updateHistoryTotals();
+        renderHistoryCharts();
+        alert(`Imported ${added} of ${data.events.length} events (the rest were already in your history).`);
+    } catch (error) {
+        console.error('Failed to import history:', error);
+        alert('Importing the history failed. Please try again.');
+    }
+}
+
+// ============================================================================
+// Session Event Log
+// ============================================================================
+
+function logEventStart(kind, label, event) {
+    state.eventLog.push({
+        kind,
+        label,
+        timestamp: event.timestamp,
+        // Posture starts are in the past
+        clockTime: getEventTime(event),
+        durationMs: null
+    });
+    renderEventLog();
+}
+
+// A touch in progress can turn into biting after it was logged
+function relabelOpenEvent(kind, label) {
+    const entry = state.eventLog.findLast(e => e.kind === kind && e.durationMs === null);
+    if (entry) {
+        entry.label = label;
+        renderEventLog();
+    }
+}
+
+function logEventEnd(kind, event) {
+    const entry = state.eventLog.findLast(e => e.kind === kind && e.durationMs === null);
+    if (entry) {
+        entry.durationMs = event.durationMs;
+        renderEventLog();
+    }
 }
 
-function stopPostureContinuousAlert() {
-    if (state.postureBeepTimer) {
-        clearInterval(state.postureBeepTimer);
-        state.postureBeepTimer = null;
+function renderEventLog() {
+    elements.eventLog.replaceChildren();
+    elements.eventLogEmpty.hidden = state.eventLog.length > 0;
+
+    for (const entry of state.eventLog) {
+        const item = document.createElement('li');
+        item.className = `event-log-item ${entry.kind}`;
+
+        const time = document.createElement('span');
+        time.className = 'event-time';
+        time.textContent = formatEventTime(entry);
+
+        const label = document.createElement('span');
+        label.className = 'event-label';
+        label.textContent = entry.label;
+
+        const duration = document.createElement('span');
+        duration.className = 'event-duration';
+        duration.textContent = entry.durationMs === null ? '...' : `${(entry.durationMs / 1000).toFixed(1)}s`;
+
+        item.append(time, label, duration);
+        elements.eventLog.appendChild(item);
     }
+
+    elements.eventLog.scrollTop = elements.eventLog.scrollHeight;
 }
 
-function triggerPostureAlert() {
+// Video files and replays show their own timeline position, live sessions the clock time
+function formatEventTime(entry) {
+    if (state.source === 'camera') {
+        return new Date(entry.clockTime).toLocaleTimeString();
+    }
+    const totalSec = entry.timestamp / 1000;
+    const minutes = Math.floor(totalSec / 60);
+    const seconds = (totalSec % 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${seconds}`;
+}
+
+// ============================================================================
+// Posture Alert Handling
+// ============================================================================
+
+function triggerPostureAlert(event) {
     state.postureAlertCount++;
     state.lastPostureAlertTime = Date.now();
 
-    const issue = state.currentPostureIssue || 'Poor posture';
+    const issue = event.issue || 'Poor posture';
     console.log(`Posture alert: ${issue}! Count: ${state.postureAlertCount}`);
 
-    // Sound alert (different tone for posture - lower frequency)
-    if (state.settings.soundEnabled) {
-        playBeep(330, 200); // Lower frequency, slightly longer
+    dispatchAlert('posture', 'start', event, {
+        issue,
+        count: state.postureAlertCount,
+        message: `Posture alert: ${issue}! Count: ${state.postureAlertCount}`
+    });
+}
+
+function triggerPostureContinuousAlert(event) {
+    const issue = event.issue || 'Poor posture';
+    dispatchAlert('posture', 'repeat', event, { issue, message: `Still bad posture: ${issue}!` });
+}
+
+// Lateral camera header, or the main video overlay in front view
+function updatePostureStatus(badPosture) {
+    for (const statusEl of [elements.postureStatus, elements.frontPostureStatus]) {
+        const statusText = statusEl?.querySelector('.posture-status-text');
+        if (!statusText) continue;
+
+        statusEl.classList.remove('good', 'bad');
+
+        if (badPosture) {
+            statusText.textContent = state.currentPostureIssue || 'Bad posture';
+            statusEl.classList.add('bad');
+        } else {
+            statusText.textContent = 'Good posture';
+            statusEl.classList.add('good');
+        }
+    }
+}
+
+// ============================================================================
+// Alert Sounds
+// ============================================================================
+
+// Alert kinds with a choice of sound; the others keep their beep
+const SOUND_KINDS = ['touch', 'posture'];
+
+// Defaults, for settings saved before a kind existed and for deleted uploads
+const DEFAULT_SOUNDS = structuredClone(state.settings.sounds);
+
+// Sample values for previewing spoken messages
+const PREVIEW_VALUES = { zone: 'mouth', issue: 'Head forward' };
+
+async function initializeSounds() {
+    try {
+        state.sounds.db = await openSounds();
+        state.sounds.list = await getSounds(state.sounds.db);
+    } catch (error) {
+        console.warn('Uploaded sounds unavailable:', error);
+    }
+    renderSoundSettings();
+}
+
+function getSoundControls(kind) {
+    return kind === 'touch'
+        ? { select: elements.touchSoundSelect, message: elements.touchSoundMessage }
+        : { select: elements.postureSoundSelect, message: elements.postureSoundMessage };
+}
+
+// Sound choices for touch and posture alerts, and the list of uploaded sounds
+function renderSoundSettings() {
+    for (const kind of SOUND_KINDS) {
+        const { select, message } = getSoundControls(kind);
+        const choice = state.settings.sounds[kind];
+
+        const tones = document.createElement('optgroup');
+        tones.label = 'Tones';
+        for (const [id, pattern] of Object.entries(TONE_PATTERNS)) {
+            tones.appendChild(new Option(pattern.label, `tone:${id}`));
+        }
+
+        const voice = document.createElement('optgroup');
+        voice.label = 'Voice';
+        voice.appendChild(new Option('Spoken message', 'speech'));
+
+        select.replaceChildren(tones, voice);
+
+        if (state.sounds.list.length > 0) {
+            const files = document.createElement('optgroup');
+            files.label = 'Your sounds';
+            for (const sound of state.sounds.list) {
+                files.appendChild(new Option(sound.name, `custom:${sound.id}`));
+            }
+            select.appendChild(files);
+        }
+
+        select.value = choice.sound;
+        message.value = choice.message;
+        message.hidden = choice.sound !== 'speech';
+    }
+
+    elements.customSoundList.replaceChildren();
+    for (const sound of state.sounds.list) {
+        const item = document.createElement('li');
+
+        const name = document.createElement('span');
+        name.className = 'custom-sound-name';
+        name.textContent = sound.name;
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn-link';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteCustomSound(sound));
+
+        item.append(name, deleteButton);
+        elements.customSoundList.appendChild(item);
+    }
+}
+
+// The sound channel: the chosen sound for touch and posture alerts, the kind's beep for the rest,
+// louder and higher as the alert escalates
+function playAlertSound(alert, tone) {
+    const choice = state.settings.sounds[alert.kind];
+    if (choice) {
+        return playSoundChoice(choice, alert, tone, alert.intensity);
+    }
+    const [frequency, duration, volume] = tone;
+    return playBeep(frequency * alert.intensity.pitch, duration, Math.min(volume * alert.intensity.volume, 1));
+}
+
+async function playSoundChoice(choice, { zone, issue }, tone, intensity = BASE_INTENSITY) {
+    const [type, id] = choice.sound.split(':');
+    const [frequency, duration, volume] = tone;
+    const toneVolume = Math.min(volume * intensity.volume, 1);
+
+    try {
+        if (type === 'speech') {
+            // Speech is at full volume already, so it only gets higher
+            const text = fillMessage(choice.message, { zone: zone ? getZoneDisplayName(zone) : '', issue: issue || '' });
+            speak(text, 1, Math.min(intensity.pitch, 2));
+            return;
+        }
+
+        // A deleted upload falls back to the beep
+        const sound = type === 'custom' ? state.sounds.list.find(s => s.id === Number(id)) : null;
+        const pattern = type === 'tone' ? TONE_PATTERNS[id] : null;
+        if (!sound && !pattern) {
+            await playBeep(frequency * intensity.pitch, duration, toneVolume);
+            return;
+        }
+
+        const ctx = initAudioContext();
+        if (ctx.state === 'suspended') {
+            await ctx.resume();
+        }
+
+        if (sound) {
+            await playAudioFile(ctx, sound, intensity.volume, intensity.pitch);
+        } else {
+            playTonePattern(ctx, pattern.notes, toneVolume, intensity.pitch);
+        }
+    } catch (error) {
+        console.warn('Alert sound failed:', error);
+    }
+}
+
+async function addCustomSound(file) {
+    if (!state.sounds.db) {
+        alert('Uploaded sounds are not available in this browser.');
+        return;
+    }
+    if (file.size > MAX_SOUND_BYTES) {
+        alert(`Please choose a sound file under ${MAX_SOUND_BYTES / (1024 * 1024)} MB.`);
+        return;
+    }
+
+    try {
+        // Only keep files the browser can actually play
+        await initAudioContext().decodeAudioData(await file.arrayBuffer());
+        await addSound(state.sounds.db, file);
+        state.sounds.list = await getSounds(state.sounds.db);
+        renderSoundSettings();
+    } catch (error) {
+        console.error('Failed to add sound:', error);
+        alert('Could not add this sound. Please choose an audio file your browser can play, e.g. MP3, WAV or OGG.');
+    }
+}
+
+async function deleteCustomSound(sound) {
+    if (!confirm(`Delete the sound "${sound.name}"?`)) return;
+
+    try {
+        await deleteSound(state.sounds.db, sound.id);
+        state.sounds.list = state.sounds.list.filter(s => s.id !== sound.id);
+    } catch (error) {
+        console.error('Failed to delete sound:', error);
+        alert('Failed to delete the sound.');
+        return;
+    }
+
+    // Alerts that used it go back to their default sound
+    for (const kind of SOUND_KINDS) {
+        if (state.settings.sounds[kind].sound === `custom:${sound.id}`) {
+            state.settings.sounds[kind].sound = DEFAULT_SOUNDS[kind].sound;
+        }
+    }
+    saveSettings();
+    renderSoundSettings();
+}
+
+// ============================================================================
+// Event Stream
+// ============================================================================
+
+// Engine events streamed to the WebSocket; repeats and single blinks would only add noise
+const STREAMED_EVENTS = [
+    'face-found', 'face-lost',
+    'approach-warning', 'touch-start', 'bite-start', 'touch-end',
+    'posture-issue', 'posture-corrected',
+    'distance-warning', 'distance-corrected',
+    'blink-rate-low', 'blink-rate-recovered',
+    'user-left', 'user-returned', 'break-due', 'eye-break-due'
+];
+
+const EVENT_STREAM_STATES = {
+    connecting: 'Connecting...',
+    open: 'Connected',
+    closed: 'Not connected'
+};
+
+function initializeEventStream() {
+    state.eventStream = createEventStream({
+        getUrl: () => state.settings.eventStream.url,
+        onStateChange: (streamState, delayMs) => {
+            elements.eventStreamStatus.textContent = streamState === 'waiting'
+                ? `Connection lost - retrying in ${Math.round(delayMs / 1000)}s`
+                : EVENT_STREAM_STATES[streamState];
+        }
+    });
+    updateEventStreamConnection();
+}
+
+function updateEventStreamConnection() {
+    if (state.settings.eventStream.enabled && state.settings.eventStream.url) {
+        state.eventStream.connect();
+    } else {
+        state.eventStream.disconnect();
+    }
+}
+
+// Snapshot for the stream's status messages
+function getLiveStatus() {
+    const touch = state.currentTouch;
+    return {
+        monitoring: state.isRunning,
+        source: state.source,
+        faceVisible: state.engine.faceVisible,
+        touching: state.engine.isTouching,
+        zone: touch?.zone ?? null,
+        hand: touch?.hand ?? null,
+        finger: touch?.finger ?? null,
+        badPosture: state.engine.isBadPosture,
+        postureIssue: state.engine.isBadPosture ? state.engine.postureIssue : null,
+        tooClose: state.engine.isTooClose,
+        blinksPerMinute: state.blinksPerMinute,
+        present: state.settings.breaks.enabled ? state.engine.isPresent : null,
+        fps: Math.round(state.fps)
+    };
+}
+
+// Wall-clock time of an engine event. Only the live camera runs on performance.now();
+// video files and replays have their own timeline, so go back from the frame being processed
+function getEventTime(event) {
+    const now = state.source === 'camera' ? performance.now() : state.lastFrameTime;
+    return Date.now() - (now - event.timestamp);
+}
+
+// ============================================================================
+// Alerts
+// ============================================================================
+
+// Built-in channels; more can be registered on state.alerts
+function initializeAlerts() {
+    state.alerts = createAlertRegistry(state.settings)
+        .register(createSoundChannel(playAlertSound))
+        .register(createFlashChannel(elements.alertFlash))
+        .register(createNotificationChannel(sendNotification))
+        .register(createWebhookChannel({ getUrl: () => state.settings.webhook.url.trim() }));
+    state.escalation = createAlertEscalation(state.settings);
+}
+
+// Post a test event and show whether the receiver answered
+async function testWebhook() {
+    const channel = state.alerts.channels.find(c => c.id === 'webhook');
+    elements.testWebhookButton.disabled = true;
+    elements.webhookStatus.textContent = 'Sending test event...';
+
+    try {
+        const status = await channel.test();
+        elements.webhookStatus.textContent = `Test event delivered (HTTP ${status}).`;
+    } catch (error) {
+        console.warn('Webhook test failed:', error);
+        elements.webhookStatus.textContent = `Test failed: ${error.message}`;
+    } finally {
+        elements.testWebhookButton.disabled = false;
+    }
+}
+
+/**
+ * Send an alert to every channel routed its kind.
+ * @param {string} kind - one of ALERT_KINDS
+ * @param {'start'|'repeat'|'end'} phase - first alert, a repeat while the event lasts, or its end
+ * @param {Object} event - the engine event behind the alert
+ * @param {Object} details
+ * @param {string} details.message - human-readable text, e.g. for notifications
+ * @param {number} [details.count] - session count of this kind of alert (start only)
+ * @param {string} [details.issue] - posture issue
+ */
+function dispatchAlert(kind, phase, event, { message, count = null, issue = null }) {
+    const alert = {
+        kind,
+        phase,
+        zone: event.zone ?? null,
+        hand: event.hand ?? null,
+        finger: event.finger ?? null,
+        issue,
+        count,
+        message,
+        time: Date.now(),
+        event
+    };
+    // An alert ending is not new activity, so it neither escalates nor holds off the quiet-time reset
+    const escalation = phase === 'end' ? { level: 0, intensity: BASE_INTENSITY } : state.escalation.update(getEscalatedAlert(alert));
+    state.alerts.dispatch({ ...alert, ...escalation });
+}
+
+// Nail biting is face touching too, so it escalates with the touch policy. A touch that
+// turns into biting was counted when it started, so its bite-start only continues it.
+function getEscalatedAlert(alert) {
+    if (alert.kind !== 'bite') return alert;
+    return { ...alert, kind: 'touch', phase: alert.event.type === 'bite-start' ? 'repeat' : alert.phase };
+}
+
+// Policies that cover more than their own kind
+const ESCALATION_LABELS = { touch: 'face touch and nail biting' };
+
+// Defaults, for settings saved before a kind had an escalation policy
+const DEFAULT_ESCALATION = structuredClone(state.settings.escalation);
+
+// Level columns of the escalation table: [key, heading, unit scale, input attributes]
+const ESCALATION_COLUMNS = [
+    ['afterMs', 'After (s)', 1000, { min: 1, step: 1 }],
+    ['afterCount', 'Or start #', 1, { min: 2, step: 1 }],
+    ['volume', 'Volume ×', 1, { min: 1, max: 3, step: 0.25 }],
+    ['pitch', 'Pitch ×', 1, { min: 1, max: 2, step: 0.25 }]
+];
+
+function createNumberInput(value, attributes, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    Object.assign(input, attributes);
+    input.value = value;
+    input.addEventListener('change', () => {
+        const number = Number(input.value);
+        if (input.value === '' || !Number.isFinite(number)) {
+            input.value = value;
+            return;
+        }
+        value = Math.min(Math.max(number, attributes.min), attributes.max ?? Infinity);
+        input.value = value;
+        onChange(value);
+    });
+    return input;
+}
+
+// Per kind: an on/off switch, a row per level and the reset rules
+function renderEscalationSettings() {
+    elements.escalationSettings.replaceChildren();
+
+    for (const [kind, policy] of Object.entries(state.settings.escalation)) {
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle-control';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = policy.enabled;
+        input.addEventListener('change', () => {
+            policy.enabled = input.checked;
+            state.escalation.reset();
+            saveSettings();
+        });
+
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
+
+        const label = document.createElement('span');
+        label.className = 'toggle-label';
+        label.textContent = `Escalate ${ESCALATION_LABELS[kind] ?? ALERT_KIND_LABELS[kind].toLowerCase()} alerts`;
+
+        toggle.append(input, slider, label);
+
+        const table = document.createElement('table');
+        table.className = 'totals-table routing-table escalation-table';
+
+        const header = document.createElement('tr');
+        for (const heading of ['', ...ESCALATION_COLUMNS.map(column => column[1]), 'Strong flash', 'Notify']) {
+            const th = document.createElement('th');
+            th.textContent = heading;
+            header.appendChild(th);
+        }
+        table.createTHead().appendChild(header);
+
+        const body = table.createTBody();
+        policy.levels.forEach((level, index) => {
+            const row = body.insertRow();
+            const th = document.createElement('th');
+            th.textContent = `Level ${index + 1}`;
+            row.appendChild(th);
+
+            for (const [key, heading, scale, attributes] of ESCALATION_COLUMNS) {
+                const numberInput = createNumberInput(level[key] / scale, attributes, value => {
+                    level[key] = value * scale;
+                    saveSettings();
+                });
+                numberInput.title = `Level ${index + 1} ${heading}`;
+                row.insertCell().appendChild(numberInput);
+            }
+
+            const flash = document.createElement('input');
+            flash.type = 'checkbox';
+            flash.checked = level.flash === 'strong';
+            flash.title = `Level ${index + 1} strong flash`;
+            flash.addEventListener('change', () => {
+                level.flash = flash.checked ? 'strong' : 'normal';
+                saveSettings();
+            });
+            row.insertCell().appendChild(flash);
+
+            const notify = document.createElement('input');
+            notify.type = 'checkbox';
+            notify.checked = level.channels.includes('notification');
+            notify.title = `Level ${index + 1} browser notification, even while notifications are off`;
+            notify.addEventListener('change', () => {
+                level.channels = notify.checked
+                    ? [...level.channels, 'notification']
+                    : level.channels.filter(id => id !== 'notification');
+                saveSettings();
+            });
+            row.insertCell().appendChild(notify);
+        });
+
+        const reset = document.createElement('p');
+        reset.className = 'section-hint escalation-reset';
+        reset.append(
+            'Count starts within ',
+            createNumberInput(policy.windowMs / 60000, { min: 1, step: 1, title: 'Window in minutes' }, value => {
+                policy.windowMs = value * 60000;
+                saveSettings();
+            }),
+            ' min, back to normal after ',
+            createNumberInput(policy.quietMs / 60000, { min: 1, step: 1, title: 'Quiet time in minutes' }, value => {
+                policy.quietMs = value * 60000;
+                saveSettings();
+            }),
+            ' quiet min'
+        );
+
+        elements.escalationSettings.append(toggle, table, reset);
     }
+}
 
-    // Visual alert (using same flash but could be different color)
-    if (state.settings.visualAlertEnabled) {
-        elements.alertFlash.classList.add('active', 'posture');
-        setTimeout(() => {
-            elements.alertFlash.classList.remove('active', 'posture');
-        }, 400);
+// Channel x alert kind checkboxes, built from the registry so new channels show up by themselves
+function renderAlertRouting() {
+    const channels = state.alerts.channels;
+    const table = elements.alertRouting;
+    table.replaceChildren();
+
+    const header = document.createElement('tr');
+    header.appendChild(document.createElement('th'));
+    for (const channel of channels) {
+        const th = document.createElement('th');
+        th.textContent = channel.label;
+        header.appendChild(th);
+    }
+    table.createTHead().appendChild(header);
+
+    const body = table.createTBody();
+    for (const kind of ALERT_KINDS) {
+        const row = body.insertRow();
+        const th = document.createElement('th');
+        th.textContent = ALERT_KIND_LABELS[kind];
+        row.appendChild(th);
+
+        for (const channel of channels) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = state.alerts.isRouted(channel.id, kind);
+            checkbox.title = `${ALERT_KIND_LABELS[kind]} via ${channel.label}`;
+            checkbox.addEventListener('change', () => {
+                state.alerts.setRouted(channel.id, kind, checkbox.checked);
+                saveSettings();
+            });
+            row.insertCell().appendChild(checkbox);
+        }
     }
+}
 
-    // Browser notification
-    if (state.settings.notifyEnabled) {
-        sendNotification(`Posture alert: ${issue}! Count: ${state.postureAlertCount}`);
-    }
+// Confirmed nail biting (fingertip between the lips with the jaw open)
+function triggerBiteAlert(event) {
+    state.biteCount++;
+    console.log(`Nail biting detected${formatTouchSource(event)}! Count: ${state.biteCount}`);
+
+    dispatchAlert('bite', 'start', event, {
+        count: state.biteCount,
+        message: `Nail biting detected${formatTouchSource(event)}! Count: ${state.biteCount}`
+    });
 }
 
-function triggerPostureContinuousAlert() {
-    const issue = state.currentPostureIssue || 'Poor posture';
+// Soft cue while the hand is still on its way - no count
+function triggerApproachWarning(event) {
+    const zoneName = getZoneDisplayName(event.zone);
+    console.log(`Hand approaching ${zoneName} (contact in ~${event.etaMs}ms)`);
 
-    if (state.settings.soundEnabled) {
-        playBeep(330, 200);
-    }
+    dispatchAlert('approach', 'start', event, { message: `Hand approaching ${zoneName}${formatTouchSource(event)}` });
+}
 
-    if (state.settings.visualAlertEnabled) {
-        elements.alertFlash.classList.add('active', 'posture');
-        setTimeout(() => {
-            elements.alertFlash.classList.remove('active', 'posture');
-        }, 400);
-    }
+function triggerDistanceAlert(event) {
+    state.distanceAlertCount++;
+    state.tooCloseSince = event.timestamp;
+    console.log(`Too close to the screen (${event.distanceCm} cm)! Count: ${state.distanceAlertCount}`);
 
-    if (state.settings.notifyEnabled) {
-        sendNotification(`Still bad posture: ${issue}!`);
-    }
+    dispatchAlert('distance', 'start', event, {
+        count: state.distanceAlertCount,
+        message: `Too close to the screen (${event.distanceCm} cm)! Count: ${state.distanceAlertCount}`
+    });
 }
 
-function updatePostureStatus(badPosture) {
-    if (!elements.postureStatus) return;
+function triggerDistanceContinuousAlert(event) {
+    dispatchAlert('distance', 'repeat', event, { message: `Still too close to the screen (${event.distanceCm} cm)!` });
+}
 
-    const statusText = elements.postureStatus.querySelector('.posture-status-text');
-    if (!statusText) return;
+function triggerBlinkAlert(event) {
+    state.blinkAlertCount++;
+    console.log(`Low blink rate (${event.blinksPerMinute}/min)! Count: ${state.blinkAlertCount}`);
+
+    dispatchAlert('blink', 'start', event, {
+        count: state.blinkAlertCount,
+        message: `Low blink rate (${event.blinksPerMinute}/min) - look away from the screen and blink a few times`
+    });
+}
 
-    elements.postureStatus.classList.remove('good', 'bad');
+function triggerBlinkContinuousAlert(event) {
+    dispatchAlert('blink', 'repeat', event, { message: `Blink rate still low (${event.blinksPerMinute}/min)!` });
+}
 
-    if (badPosture) {
-        statusText.textContent = state.currentPostureIssue || 'Bad posture';
-        elements.postureStatus.classList.add('bad');
-    } else {
-        statusText.textContent = 'Good posture';
-        elements.postureStatus.classList.add('good');
+function triggerBreakReminder(event) {
+    const minutes = Math.floor(event.sittingMs / 60000);
+    const isFirst = event.type === 'break-due';
+    if (isFirst) {
+        state.breakDueCount++;
+        countHistoryEvent('break-due');
+        // Stored as the sitting stretch that reached the reminder
+        saveHistoryEvent('break-due', { ...event, durationMs: event.sittingMs });
     }
+    console.log(`Break reminder after ${minutes} min sitting`);
+
+    dispatchAlert('break', isFirst ? 'start' : 'repeat', event, {
+        count: isFirst ? state.breakDueCount : null,
+        message: `Time for a break - you have been sitting for ${minutes} min`
+    });
 }
 
-function triggerContinuousAlert() {
-    // Only play sound and visual during continuous touch (no count increment)
-    const zoneName = state.lastTouchedZone ? getZoneDisplayName(state.lastTouchedZone) : 'Face';
+function triggerEyeBreakReminder(event) {
+    state.eyeBreakCount++;
+    console.log('20-20-20 eye break reminder');
 
-    // Sound alert
-    if (state.settings.soundEnabled) {
-        playBeep(440, 150);
-    }
+    dispatchAlert('eye-break', 'start', event, {
+        count: state.eyeBreakCount,
+        message: 'Eye break: look at something 20 feet (6 m) away for 20 seconds'
+    });
+}
 
-    // Visual alert
-    if (state.settings.visualAlertEnabled) {
-        elements.alertFlash.classList.add('active');
-        setTimeout(() => {
-            elements.alertFlash.classList.remove('active');
-        }, 400);
-    }
+// Continuous touch: alert again without counting (the biting alert while a bite continues)
+function triggerContinuousAlert(event) {
+    const zoneName = event.zone ? getZoneDisplayName(event.zone) : 'Face';
+    const source = formatTouchSource(event);
 
-    // Browser notification (optional for continuous - can be noisy)
-    if (state.settings.notifyEnabled) {
-        sendNotification(`Still touching ${zoneName}!`);
-    }
+    dispatchAlert(event.biting ? 'bite' : 'touch', 'repeat', event, {
+        message: event.biting ? `Still biting your nails${source}!` : `Still touching ${zoneName}${source}!`
+    });
+}
+
+// Only channels that want 'end' phases (e.g. the webhook) hear about it
+function endTouchAlert(event) {
+    const zoneName = event.zone ? getZoneDisplayName(event.zone) : 'Face';
+    dispatchAlert(event.biting ? 'bite' : 'touch', 'end', event, {
+        message: `${zoneName} touch ended after ${(event.durationMs / 1000).toFixed(1)}s`
+    });
 }
 
-function triggerAlert() {
+function triggerAlert(event) {
     state.touchCount++;
     state.lastTouchTime = Date.now();
-
-    const zoneName = state.lastTouchedZone ? getZoneDisplayName(state.lastTouchedZone) : 'Face';
-    console.log(`${zoneName} touch detected! Count: ${state.touchCount}`);
-
-    // Sound alert
-    if (state.settings.soundEnabled) {
-        playBeep(440, 150);
+    if (event.zone) {
+        state.zoneCounts[event.zone] = (state.zoneCounts[event.zone] || 0) + 1;
+        renderZoneCounts();
     }
-
-    // Visual alert
-    if (state.settings.visualAlertEnabled) {
-        elements.alertFlash.classList.add('active');
-        setTimeout(() => {
-            elements.alertFlash.classList.remove('active');
-        }, 400);
+    if (event.finger) {
+        const key = `${event.hand || 'unknown'}:${event.finger}`;
+        const counts = state.fingerCounts[key] || (state.fingerCounts[key] = { touches: 0, bites: 0 });
+        counts.touches++;
+        if (event.biting) counts.bites++;
+        renderFingerCounts();
     }
 
-    // Browser notification
-    if (state.settings.notifyEnabled) {
-        sendNotification(`${zoneName} touch detected! Count: ${state.touchCount}`);
+    // Confirmed biting gets its own, stronger alert
+    if (event.biting) {
+        triggerBiteAlert(event);
+        return;
     }
+
+    const zoneName = event.zone ? getZoneDisplayName(event.zone) : 'Face';
+    console.log(`${zoneName} touch detected${formatTouchSource(event)}! Count: ${state.touchCount}`);
+
+    dispatchAlert('touch', 'start', event, {
+        count: state.touchCount,
+        message: `${zoneName} touch detected${formatTouchSource(event)}! Count: ${state.touchCount}`
+    });
 }
 
 // ============================================================================
@@ -1116,7 +2819,7 @@ function drawLandmarkConnections(landmarks, connections, color) {
 function drawHands(handLandmarksList) {
     for (const landmarks of handLandmarksList) {
         // Draw connections
-        state.ctx.strokeStyle = state.isTouching ? 'rgba(239, 68, 68, 0.8)' : 'rgba(34, 197, 94, 0.8)';
+        state.ctx.strokeStyle = state.engine.isTouching ? 'rgba(239, 68, 68, 0.8)' : 'rgba(34, 197, 94, 0.8)';
         state.ctx.lineWidth = 2;
 
         // Draw hand skeleton
@@ -1141,7 +2844,7 @@ function drawHands(handLandmarksList) {
             const isFingertip = FINGERTIPS.includes(i);
             const radius = isFingertip ? 6 : 3;
             const color = isFingertip
-                ? (state.isTouching ? 'rgba(239, 68, 68, 1)' : 'rgba(245, 158, 11, 1)')
+                ? (state.engine.isTouching ? 'rgba(239, 68, 68, 1)' : 'rgba(245, 158, 11, 1)')
                 : 'rgba(34, 197, 94, 0.8)';
 
             state.ctx.beginPath();
@@ -1156,30 +2859,27 @@ function drawProximityZones(faceLandmarks) {
     const videoWidth = state.canvas.width;
     const videoHeight = state.canvas.height;
 
-    // Define all zones with their colors (matching CSS toggle colors)
-    const allZones = [
-        { region: 'mouth', color: 'rgba(239, 68, 68, 0.2)', enabled: state.settings.zones.mouth },
-        { region: 'nose', color: 'rgba(245, 158, 11, 0.2)', enabled: state.settings.zones.nose },
-        { region: 'leftEye', color: 'rgba(14, 165, 233, 0.2)', enabled: state.settings.zones.leftEye },
-        { region: 'rightEye', color: 'rgba(14, 165, 233, 0.2)', enabled: state.settings.zones.rightEye },
-        { region: 'leftCheek', color: 'rgba(139, 92, 246, 0.2)', enabled: state.settings.zones.leftCheek },
-        { region: 'rightCheek', color: 'rgba(139, 92, 246, 0.2)', enabled: state.settings.zones.rightCheek },
-        { region: 'chin', color: 'rgba(34, 197, 94, 0.2)', enabled: state.settings.zones.chin }
-    ];
+    // Define all zones with their colors
+    const allZones = getZoneIds(state.settings).map(region => ({
+        region,
+        color: `rgba(${getZoneColor(region)}, 0.2)`,
+        enabled: state.settings.zones[region]
+    }));
 
-    const threshold = 40 / (state.settings.sensitivity / 100);
+    // Same face-relative distances the engine uses
+    const faceScale = getFaceScale(faceLandmarks, videoWidth, videoHeight);
 
     for (const { region, color, enabled } of allZones) {
         // Only draw enabled zones
         if (!enabled) continue;
 
-        const indices = FACE_REGIONS[region];
-        if (!indices) continue;
+        const threshold = getTouchThreshold(state.settings, region, faceScale);
 
-        const points = indices.map(idx => ({
-            x: faceLandmarks[idx].x * videoWidth,
-            y: faceLandmarks[idx].y * videoHeight
+        const points = getZoneLandmarks(region, faceLandmarks, state.settings).map(lm => ({
+            x: lm.x * videoWidth,
+            y: lm.y * videoHeight
         }));
+        if (points.length === 0) continue;
 
         // Draw expanded region
         state.ctx.fillStyle = color;
@@ -1213,6 +2913,12 @@ function updateUI() {
 
     // Update touch count
     elements.touchCount.textContent = state.touchCount;
+    elements.sessionTouchTotal.textContent = state.touchCount;
+    elements.sessionBiteTotal.textContent = state.biteCount;
+    elements.sessionPostureTotal.textContent = state.postureAlertCount;
+    elements.sessionBreakDueTotal.textContent = state.breakDueCount;
+    elements.sessionBreakTotal.textContent = state.breaksTaken;
+    elements.sessionBreakCompliance.textContent = formatBreakCompliance(state.breaksAfterReminder, state.breakDueCount);
 
     // Update last touch time
     if (state.lastTouchTime) {
@@ -1237,6 +2943,101 @@ function updateUI() {
         const secAgo = Math.round((Date.now() - state.lastPostureAlertTime) / 1000);
         elements.lastPostureAlert.textContent = `${secAgo}s ago`;
     }
+
+    // Posture time, screen distance and blink rate change slowly, so they are redrawn once a second
+    if (Date.now() - state.lastPostureTimeRender >= 1000) {
+        renderPostureTime();
+        renderDistanceStats();
+        renderBlinkStats();
+        renderBreakStats();
+    }
+}
+
+// Share of good posture and time per issue this session
+function renderPostureTime() {
+    state.lastPostureTimeRender = Date.now();
+
+    const { good, bad, byIssue } = state.engine.postureTime;
+    const total = good + bad;
+    elements.postureGoodShare.textContent = total > 0 ? `${Math.round(good / total * 100)}%` : '--';
+
+    elements.postureBreakdown.replaceChildren();
+    if (total === 0) return;
+
+    const rows = [['Good posture', good, '34, 197, 94'],
+        ...Object.entries(byIssue).sort((a, b) => b[1] - a[1]).map(([issue, ms]) => [issue, ms, '236, 72, 153'])];
+
+    for (const [label, ms, color] of rows) {
+        const item = document.createElement('li');
+        item.style.setProperty('--zone-color', `rgb(${color})`);
+
+        const name = document.createElement('span');
+        name.className = 'zone-count-name';
+        name.textContent = label;
+
+        const value = document.createElement('span');
+        value.className = 'zone-count-value';
+        value.textContent = `${formatPostureTime(ms)} (${Math.round(ms / total * 100)}%)`;
+
+        item.append(name, value);
+        elements.postureBreakdown.appendChild(item);
+    }
+}
+
+// "1h 05m", "4m 12s" or "37s"
+function formatPostureTime(ms) {
+    const totalSec = Math.round(ms / 1000);
+    const hours = Math.floor(totalSec / 3600);
+    const minutes = Math.floor((totalSec % 3600) / 60);
+    const seconds = totalSec % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+// Session touches per zone, most touched first
+function renderZoneCounts() {
+    elements.zoneCounts.replaceChildren();
+
+    const entries = Object.entries(state.zoneCounts).sort((a, b) => b[1] - a[1]);
+    for (const [zone, count] of entries) {
+        const item = document.createElement('li');
+        item.style.setProperty('--zone-color', `rgb(${getZoneColor(zone)})`);
+
+        const name = document.createElement('span');
+        name.className = 'zone-count-name';
+        name.textContent = getZoneDisplayName(zone);
+
+        const value = document.createElement('span');
+        value.className = 'zone-count-value';
+        value.textContent = count;
+
+        item.append(name, value);
+        elements.zoneCounts.appendChild(item);
+    }
+}
+
+// Session touches per hand and finger, most touched first, with nail biting counts
+function renderFingerCounts() {
+    elements.fingerCounts.replaceChildren();
+
+    const entries = Object.entries(state.fingerCounts).sort((a, b) => b[1].touches - a[1].touches);
+    for (const [key, counts] of entries) {
+        const [hand, finger] = key.split(':');
+        const item = document.createElement('li');
+        item.style.setProperty('--zone-color', `rgb(${HAND_COLORS[hand] || HAND_COLORS.unknown})`);
+
+        const name = document.createElement('span');
+        name.className = 'zone-count-name';
+        name.textContent = getFingerDisplayName(hand, finger);
+
+        const value = document.createElement('span');
+        value.className = 'zone-count-value';
+        value.textContent = counts.bites > 0 ? `${counts.touches} (${counts.bites} biting)` : counts.touches;
+
+        item.append(name, value);
+        elements.fingerCounts.appendChild(item);
+    }
 }
 
 function updateDetectionStatus(faceVisible, touching) {
@@ -1246,11 +3047,12 @@ function updateDetectionStatus(faceVisible, touching) {
     statusEl.classList.remove('warning', 'danger');
 
     if (!faceVisible) {
-        textEl.textContent = 'No face detected';
+        textEl.textContent = state.isAway ? 'Away - on a break' : 'No face detected';
         statusEl.classList.add('warning');
     } else if (touching) {
-        const zoneName = state.lastTouchedZone ? getZoneDisplayName(state.lastTouchedZone) : 'Face';
-        textEl.textContent = `${zoneName} touch detected!`;
+        const touch = state.currentTouch;
+        const zoneName = touch ? getZoneDisplayName(touch.zone) : 'Face';
+        textEl.textContent = `${zoneName} touch detected${formatTouchSource(touch)}!`;
         statusEl.classList.add('danger');
     } else {
         textEl.textContent = 'Monitoring...';
@@ -1268,7 +3070,7 @@ function initAudioContext() {
     return state.audioContext;
 }
 
-async function playBeep(frequency, duration) {
+async function playBeep(frequency, duration, volume = 0.3) {
     try {
         const ctx = initAudioContext();
 
@@ -1286,7 +3088,7 @@ async function playBeep(frequency, duration) {
         oscillator.frequency.value = frequency;
         oscillator.type = 'sine';
 
-        gainNode.gain.setValueAtTime(0.3, ctx.currentTime);
+        gainNode.gain.setValueAtTime(volume, ctx.currentTime);
         gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration / 1000);
 
         oscillator.start();
@@ -1335,13 +3137,136 @@ function sendNotification(message) {
     }
 }
 
+// ============================================================================
+// Landmark Recording & Replay
+// ============================================================================
+
+function startRecording() {
+    state.recording = createRecording({
+        width: state.canvas.width,
+        height: state.canvas.height,
+        mirrored: state.mirrored,
+        settings: structuredClone(state.settings)
+    });
+    updateRecordingControls();
+}
+
+function stopRecording() {
+    const format = state.settings.recordingFormat;
+    const content = serializeRecording(state.recording, format);
+    const stamp = state.recording.header.startedAt.replace(/[:.]/g, '-');
+    const type = format === 'json' ? 'application/json' : 'application/x-ndjson';
+
+    downloadFile(`landmarks-${stamp}.${format}`, content, type);
+    state.recording = null;
+    updateRecordingControls();
+}
+
+function updateRecordingControls() {
+    elements.recordButton.disabled = !state.isRunning || state.source === 'replay';
+    elements.recordButton.textContent = state.recording ? 'Stop & Download Recording' : 'Start Recording';
+    elements.recordButton.classList.toggle('recording', Boolean(state.recording));
+}
+
+async function startReplay(file) {
+    let recording;
+    try {
+        recording = parseRecording(await file.text());
+    } catch (error) {
+        console.error('Failed to load recording:', error);
+        alert('Unable to read this file. Please choose a landmark recording (.ndjson or .json).');
+        return;
+    }
+
+    elements.welcomeContent.classList.add('hidden');
+
+    // Replay needs no camera or AI models - landmarks are drawn on a blank canvas
+    elements.canvas.width = recording.header.width;
+    elements.canvas.height = recording.header.height;
+    state.canvas = elements.canvas;
+    state.ctx = elements.canvas.getContext('2d');
+
+    state.source = 'replay';
+    state.mirrored = recording.header.mirrored !== false;
+    state.replay = { frames: recording.frames, index: 0, startTime: null };
+    beginSession();
+}
+
+function readReplayFrame(now) {
+    const replay = state.replay;
+
+    if (replay.index >= replay.frames.length) {
+        console.log('Replay finished');
+        finishAnalysis();
+        return null;
+    }
+
+    if (replay.startTime === null) {
+        replay.startTime = now;
+    }
+
+    // Wait until the next frame is due so replay runs at recorded speed
+    if (replay.frames[replay.index].t > now - replay.startTime) {
+        return null;
+    }
+
+    return decodeFrame(replay.frames[replay.index++]);
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // ============================================================================
 // Controls & Event Handlers
 // ============================================================================
 
 function setupEventListeners() {
     // Start button
-    elements.startButton.addEventListener('click', startMonitoring);
+    elements.startButton.addEventListener('click', () => startMonitoring());
+
+    // Analyze a pre-recorded video file instead of the webcam
+    elements.videoFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            startMonitoring(file);
+        }
+    });
+
+    // Drop a video file (or a landmark recording) anywhere on the start screen
+    // Files dropped while monitoring are ignored, but the browser must not open them either
+    document.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        if (elements.welcomeContent.classList.contains('hidden')) return;
+        elements.videoWrapper.classList.add('drop-target');
+    });
+
+    document.addEventListener('dragleave', (e) => {
+        if (e.relatedTarget === null) {
+            elements.videoWrapper.classList.remove('drop-target');
+        }
+    });
+
+    document.addEventListener('drop', (e) => {
+        e.preventDefault();
+        elements.videoWrapper.classList.remove('drop-target');
+        if (elements.welcomeContent.classList.contains('hidden')) return;
+
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+
+        if (file.type.startsWith('video/')) {
+            startMonitoring(file);
+        } else {
+            startReplay(file);
+        }
+    });
 
     // Stop button
     elements.stopButton.addEventListener('click', stopMonitoring);
@@ -1349,9 +3274,56 @@ function setupEventListeners() {
     // Reset stats
     elements.resetStats.addEventListener('click', resetStatistics);
 
+    // Replay a landmark recording instead of the live camera
+    elements.replayFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            startReplay(file);
+        }
+    });
+
+    // Landmark recording
+    elements.recordButton.addEventListener('click', () => {
+        if (state.recording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+
+    elements.recordingFormat.addEventListener('change', (e) => {
+        state.settings.recordingFormat = e.target.value;
+        saveSettings();
+    });
+
+    // History view
+    elements.historyRange.addEventListener('change', (e) => {
+        state.settings.historyRange = e.target.value;
+        saveSettings();
+        renderHistoryCharts();
+    });
+
+    // History export & import
+    elements.exportCsvButton.addEventListener('click', () => exportHistory('csv'));
+    elements.exportJsonButton.addEventListener('click', () => exportHistory('json'));
+    elements.importHistoryInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            importHistoryFile(file);
+        }
+    });
+
+    // Charts are sized to their container; redraw once resizing settles
+    window.addEventListener('resize', () => {
+        clearTimeout(state.history.resizeTimer);
+        state.history.resizeTimer = setTimeout(drawHistoryCharts, HISTORY_RESIZE_DELAY_MS);
+    });
+
     // Toggle controls
     elements.beepToggle.addEventListener('change', (e) => {
-        state.settings.soundEnabled = e.target.checked;
+        state.alerts.setEnabled('sound', e.target.checked);
         saveSettings();
     });
 
@@ -1364,12 +3336,80 @@ function setupEventListeners() {
                 return;
             }
         }
-        state.settings.notifyEnabled = e.target.checked;
+        state.alerts.setEnabled('notification', e.target.checked);
         saveSettings();
     });
 
     elements.visualAlertToggle.addEventListener('change', (e) => {
-        state.settings.visualAlertEnabled = e.target.checked;
+        state.alerts.setEnabled('flash', e.target.checked);
+        saveSettings();
+    });
+
+    elements.webhookToggle.addEventListener('change', (e) => {
+        state.alerts.setEnabled('webhook', e.target.checked);
+        saveSettings();
+    });
+
+    elements.webhookUrlInput.addEventListener('change', (e) => {
+        state.settings.webhook.url = e.target.value.trim();
+        saveSettings();
+    });
+
+    elements.testWebhookButton.addEventListener('click', testWebhook);
+
+    // Alert sounds
+    for (const kind of SOUND_KINDS) {
+        const { select, message } = getSoundControls(kind);
+
+        select.addEventListener('change', () => {
+            state.settings.sounds[kind].sound = select.value;
+            message.hidden = select.value !== 'speech';
+            saveSettings();
+        });
+
+        message.addEventListener('change', () => {
+            state.settings.sounds[kind].message = message.value.trim() || DEFAULT_SOUNDS[kind].message;
+            message.value = state.settings.sounds[kind].message;
+            saveSettings();
+        });
+    }
+
+    elements.previewTouchSoundButton.addEventListener('click', () => {
+        playSoundChoice(state.settings.sounds.touch, PREVIEW_VALUES, [440, 150, 0.3]);
+    });
+
+    elements.previewPostureSoundButton.addEventListener('click', () => {
+        playSoundChoice(state.settings.sounds.posture, PREVIEW_VALUES, [330, 200, 0.3]);
+    });
+
+    elements.soundFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            addCustomSound(file);
+        }
+    });
+
+    elements.eventStreamToggle.addEventListener('change', (e) => {
+        state.settings.eventStream.enabled = e.target.checked;
+        saveSettings();
+        updateEventStreamConnection();
+    });
+
+    elements.eventStreamUrlInput.addEventListener('change', (e) => {
+        state.settings.eventStream.url = e.target.value.trim();
+        saveSettings();
+        updateEventStreamConnection();
+    });
+
+    elements.approachWarningToggle.addEventListener('change', (e) => {
+        state.settings.approachWarningEnabled = e.target.checked;
+        saveSettings();
+    });
+
+    elements.approachLeadSlider.addEventListener('input', (e) => {
+        state.settings.approachLeadMs = parseInt(e.target.value, 10);
+        elements.approachLeadValue.textContent = `${state.settings.approachLeadMs}ms`;
         saveSettings();
     });
 
@@ -1404,6 +3444,26 @@ function setupEventListeners() {
         saveSettings();
     });
 
+    // Touch timing sliders
+    elements.touchDwellSlider.addEventListener('input', (e) => {
+        state.settings.touchDwellMs = parseInt(e.target.value, 10);
+        elements.touchDwellValue.textContent = `${state.settings.touchDwellMs}ms`;
+        saveSettings();
+    });
+
+    elements.touchReleaseSlider.addEventListener('input', (e) => {
+        const percent = parseInt(e.target.value, 10);
+        state.settings.touchReleaseScale = percent / 100;
+        elements.touchReleaseValue.textContent = `${percent}%`;
+        saveSettings();
+    });
+
+    elements.touchReleaseGapSlider.addEventListener('input', (e) => {
+        state.settings.touchReleaseGapMs = parseInt(e.target.value, 10);
+        elements.touchReleaseGapValue.textContent = `${state.settings.touchReleaseGapMs}ms`;
+        saveSettings();
+    });
+
     // Zone toggles
     elements.zoneMouth.addEventListener('change', (e) => {
         state.settings.zones.mouth = e.target.checked;
@@ -1432,6 +3492,111 @@ function setupEventListeners() {
         saveSettings();
     });
 
+    elements.zoneForehead.addEventListener('change', (e) => {
+        state.settings.zones.forehead = e.target.checked;
+        saveSettings();
+    });
+
+    elements.zoneScalp.addEventListener('change', (e) => {
+        state.settings.zones.leftScalp = e.target.checked;
+        state.settings.zones.rightScalp = e.target.checked;
+        saveSettings();
+    });
+
+    elements.zoneEars.addEventListener('change', (e) => {
+        state.settings.zones.leftEar = e.target.checked;
+        state.settings.zones.rightEar = e.target.checked;
+        saveSettings();
+    });
+
+    elements.bitingToggle.addEventListener('change', async (e) => {
+        state.settings.bitingConfirmation = e.target.checked;
+        saveSettings();
+
+        // Blendshapes are only computed while confirmation is on
+        if (state.faceLandmarker) {
+            try {
+                await state.faceLandmarker.setOptions({ outputFaceBlendshapes: e.target.checked });
+            } catch (error) {
+                console.warn('Failed to switch face blendshapes:', error);
+            }
+        }
+    });
+
+    // Custom zone editor
+    elements.addCustomZoneButton.addEventListener('click', () => openZoneEditor());
+    elements.saveCustomZoneButton.addEventListener('click', saveCustomZone);
+    elements.cancelCustomZoneButton.addEventListener('click', closeZoneEditor);
+    elements.clearCustomZoneButton.addEventListener('click', () => {
+        state.zoneEditor.landmarks.clear();
+        updateZoneSelection();
+    });
+
+    elements.canvas.addEventListener('pointerdown', startLandmarkPick);
+    elements.canvas.addEventListener('pointermove', extendLandmarkPick);
+    elements.canvas.addEventListener('pointerup', finishLandmarkPick);
+    elements.canvas.addEventListener('pointercancel', () => {
+        if (state.zoneEditor) state.zoneEditor.lasso = null;
+    });
+
+    // Screen distance controls
+    elements.distanceToggle.addEventListener('change', (e) => {
+        state.settings.screenDistance.enabled = e.target.checked;
+        saveSettings();
+    });
+
+    elements.minDistanceSlider.addEventListener('input', (e) => {
+        state.settings.screenDistance.minDistanceCm = parseInt(e.target.value, 10);
+        elements.minDistanceValue.textContent = `${state.settings.screenDistance.minDistanceCm} cm`;
+        saveSettings();
+    });
+
+    elements.calibrateDistanceButton.addEventListener('click', startDistanceCalibration);
+
+    // Blink controls
+    elements.blinkToggle.addEventListener('change', (e) => {
+        state.settings.blink.enabled = e.target.checked;
+        saveSettings();
+    });
+
+    elements.minBlinkRateSlider.addEventListener('input', (e) => {
+        state.settings.blink.minBlinksPerMinute = parseInt(e.target.value, 10);
+        elements.minBlinkRateValue.textContent = `${state.settings.blink.minBlinksPerMinute}/min`;
+        saveSettings();
+    });
+
+    elements.lowBlinkTimeSlider.addEventListener('input', (e) => {
+        const minutes = parseInt(e.target.value, 10);
+        state.settings.blink.lowRateMs = minutes * 60000;
+        elements.lowBlinkTimeValue.textContent = `${minutes} min`;
+        saveSettings();
+    });
+
+    // Break controls
+    elements.breaksToggle.addEventListener('change', (e) => {
+        state.settings.breaks.enabled = e.target.checked;
+        saveSettings();
+    });
+
+    elements.eyeBreaksToggle.addEventListener('change', (e) => {
+        state.settings.breaks.eyeBreaksEnabled = e.target.checked;
+        saveSettings();
+    });
+
+    elements.sittingLimitSlider.addEventListener('input', (e) => {
+        const minutes = parseInt(e.target.value, 10);
+        state.settings.breaks.sittingLimitMs = minutes * 60000;
+        elements.sittingLimitValue.textContent = `${minutes} min`;
+        saveSettings();
+    });
+
+    elements.breakMinSlider.addEventListener('input', (e) => {
+        const minutes = parseInt(e.target.value, 10);
+        state.settings.breaks.breakMinMs = minutes * 60000;
+        elements.breakMinValue.textContent = `${minutes} min`;
+        saveSettings();
+    });
+
     // Posture detection controls
     if (elements.postureToggle) {
         elements.postureToggle.addEventListener('change', async (e) => {
@@ -1440,15 +3605,13 @@ function setupEventListeners() {
 
             if (e.target.checked) {
                 // Enable posture detection - initialize lateral camera if selected
-                if (state.settings.posture.lateralCameraId) {
+                if (usesLateralCamera()) {
                     await initializeLateralCamera(state.settings.posture.lateralCameraId);
                 }
             } else {
                 // Disable posture detection - stop lateral camera
                 stopLateralCamera();
-                stopPostureContinuousAlert();
-                state.isBadPosture = false;
-                state.wasBadPosture = false;
+                state.engine.resetPosture();
             }
             updateLateralCameraVisibility();
         });
@@ -1459,8 +3622,10 @@ function setupEventListeners() {
             const deviceId = e.target.value;
             state.settings.posture.lateralCameraId = deviceId || null;
             saveSettings();
+            state.engine.resetPosture();
+            renderPostureCalibration();
 
-            if (deviceId && state.settings.posture.enabled) {
+            if (usesLateralCamera() && state.settings.posture.enabled) {
                 await initializeLateralCamera(deviceId);
             } else {
                 stopLateralCamera();
@@ -1469,6 +3634,25 @@ function setupEventListeners() {
         });
     }
 
+    elements.postureViewSelect.addEventListener('change', async (e) => {
+        state.settings.posture.view = e.target.value;
+        saveSettings();
+        elements.lateralCameraControl.hidden = e.target.value === 'front';
+        state.engine.resetPosture();
+        renderPostureCalibration();
+
+        // The front view runs on the main video, so the lateral camera is only needed for the side view
+        if (usesLateralCamera() && state.settings.posture.enabled && state.isRunning) {
+            await initializeLateralCamera(state.settings.posture.lateralCameraId);
+        } else {
+            stopLateralCamera();
+        }
+        updateLateralCameraVisibility();
+    });
+
+    elements.calibratePostureButton.addEventListener('click', startPostureCalibration);
+    elements.resetCalibrationButton.addEventListener('click', resetPostureCalibration);
+
     if (elements.showPoseLandmarks) {
         elements.showPoseLandmarks.addEventListener('change', (e) => {
             state.settings.posture.showPoseLandmarks = e.target.checked;
@@ -1508,6 +3692,13 @@ function setupEventListeners() {
         });
     }
 
+    elements.postureSustainSlider.addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        state.settings.posture.sustainMs = value * 1000;
+        elements.postureSustainValue.textContent = `${value}s`;
+        saveSettings();
+    });
+
     if (elements.postureCooldownSlider) {
         elements.postureCooldownSlider.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
@@ -1518,7 +3709,11 @@ function setupEventListeners() {
     }
 }
 
-async function startMonitoring() {
+/**
+ * Start monitoring the webcam, or analyze a pre-recorded video file.
+ * @param {File|null} videoFile - video to analyze instead of the live camera
+ */
+async function startMonitoring(videoFile = null) {
     // Show loading state
     elements.welcomeContent.classList.add('hidden');
     elements.loadingState.classList.add('visible');
@@ -1532,38 +3727,70 @@ async function startMonitoring() {
         return;
     }
 
-    // Initialize camera
-    const camInit = await initializeCamera();
+    // Initialize camera, or the video file to analyze
+    const camInit = videoFile ? await initializeVideoFile(videoFile) : await initializeCamera();
     if (!camInit) {
         elements.loadingState.classList.remove('visible');
         elements.welcomeContent.classList.remove('hidden');
         return;
     }
 
-    // Enumerate available cameras for lateral camera selection
-    await enumerateCameras();
+    if (!videoFile) {
+        // Enumerate available cameras for lateral camera selection
+        await enumerateCameras();
 
-    // Initialize lateral camera if posture detection is enabled and camera is selected
-    if (state.settings.posture.enabled && state.settings.posture.lateralCameraId) {
-        await initializeLateralCamera(state.settings.posture.lateralCameraId);
+        // Initialize lateral camera if posture detection is enabled and camera is selected
+        if (state.settings.posture.enabled && usesLateralCamera()) {
+            await initializeLateralCamera(state.settings.posture.lateralCameraId);
+        }
     }
 
     // Hide loading, show video
     elements.loadingState.classList.remove('visible');
 
+    beginSession();
+}
+
+// Reset session statistics and start the detection loop (live camera or replay)
+function beginSession() {
     // Update state
     state.isRunning = true;
     state.startTime = Date.now();
     state.touchCount = 0;
+    state.biteCount = 0;
+    state.zoneCounts = {};
+    renderZoneCounts();
+    state.fingerCounts = {};
+    renderFingerCounts();
     state.lastTouchTime = null;
     state.postureAlertCount = 0;
     state.lastPostureAlertTime = null;
+    state.distanceAlertCount = 0;
+    state.tooCloseMs = 0;
+    state.tooCloseSince = null;
+    state.blinkCount = 0;
+    state.blinkAlertCount = 0;
+    state.breakDueCount = 0;
+    state.breaksTaken = 0;
+    state.breaksAfterReminder = 0;
+    state.eyeBreakCount = 0;
+    state.lastFrameTime = 0;
+    state.eventLog = [];
+    state.engine.reset();
+    state.escalation.reset();
+    state.isAway = false;
+    state.leftWithBreakDue = false;
+    beginHistorySession();
 
     // Update UI
+    const statusLabels = { camera: 'Active', file: 'Analyzing video', replay: 'Replaying' };
     elements.connectionStatus.classList.add('active');
-    elements.statusText.textContent = 'Active';
+    elements.statusText.textContent = statusLabels[state.source];
     elements.detectionStatus.classList.add('visible');
+    elements.videoWrapper.classList.toggle('unmirrored', !state.mirrored);
+    renderEventLog();
     updateLateralCameraVisibility();
+    updateRecordingControls();
 
     // Start detection loop
     detectFrame();
@@ -1578,18 +3805,15 @@ function stopMonitoring() {
         state.animationId = null;
     }
 
-    // Stop continuous beep timer
-    stopContinuousBeep();
-
-    // Stop posture continuous alert timer
-    stopPostureContinuousAlert();
-
     // Stop main camera
     if (elements.video.srcObject) {
         elements.video.srcObject.getTracks().forEach(track => track.stop());
         elements.video.srcObject = null;
     }
 
+    // Release the analyzed video file
+    releaseVideoFile();
+
     // Stop lateral camera
     stopLateralCamera();
 
@@ -1603,28 +3827,91 @@ function stopMonitoring() {
         state.lateralCtx.clearRect(0, 0, state.lateralCanvas.width, state.lateralCanvas.height);
     }
 
-    // Reset posture state
-    state.isBadPosture = false;
-    state.wasBadPosture = false;
+    // Close events still in progress, then reset touch and posture state
+    state.engine.endSession(state.lastFrameTime);
+    state.engine.reset();
+    endHistorySession();
+    state.eventStream.updateStatus(getLiveStatus());
+
+    // A distance calibration needs a live face
+    if (state.distanceCalibration) {
+        state.distanceCalibration = null;
+        renderDistanceCalibration();
+    }
+
+    // Finish any recording in progress so it is not lost
+    if (state.recording) {
+        stopRecording();
+    }
+    state.replay = null;
+    state.source = 'camera';
 
     // Update UI
     elements.connectionStatus.classList.remove('active');
     elements.statusText.textContent = 'Inactive';
     elements.detectionStatus.classList.remove('visible');
+    elements.frontPostureStatus.hidden = true;
     elements.welcomeContent.classList.remove('hidden');
     updateLateralCameraVisibility();
+    updateRecordingControls();
+}
+
+// Video file or replay reached its end - keep the last frame and the event list on screen
+function finishAnalysis() {
+    if (!state.isRunning) return;
+
+    state.isRunning = false;
+    if (state.animationId) {
+        cancelAnimationFrame(state.animationId);
+        state.animationId = null;
+    }
+
+    state.engine.endSession(state.lastFrameTime);
+    if (state.recording) {
+        stopRecording();
+    }
+
+    elements.statusText.textContent = 'Analysis complete';
+    const textEl = elements.detectionStatus.querySelector('.status-text');
+    elements.detectionStatus.classList.remove('warning', 'danger');
+    const bites = state.settings.bitingConfirmation ? ` (${state.biteCount} biting)` : '';
+    textEl.textContent = `Analysis complete: ${state.touchCount} touches${bites}, ${state.postureAlertCount} posture alerts`;
+    updateRecordingControls();
 }
 
 function resetStatistics() {
     state.touchCount = 0;
+    state.biteCount = 0;
+    state.zoneCounts = {};
+    renderZoneCounts();
+    state.fingerCounts = {};
+    renderFingerCounts();
     state.lastTouchTime = null;
     state.postureAlertCount = 0;
     state.lastPostureAlertTime = null;
+    state.distanceAlertCount = 0;
+    state.tooCloseMs = 0;
+    state.tooCloseSince = null;
+    state.blinkCount = 0;
+    state.blinkAlertCount = 0;
+    state.breakDueCount = 0;
+    state.breaksTaken = 0;
+    state.breaksAfterReminder = 0;
+    state.eyeBreakCount = 0;
+    state.escalation.reset();
     state.startTime = Date.now();
+    state.engine.resetPostureTime();
+    renderPostureTime();
 
     elements.touchCount.textContent = '0';
     elements.lastTouch.textContent = '--';
     elements.touchRate.textContent = '0.0';
+    elements.sessionTouchTotal.textContent = '0';
+    elements.sessionBiteTotal.textContent = '0';
+    elements.sessionPostureTotal.textContent = '0';
+    elements.sessionBreakDueTotal.textContent = '0';
+    elements.sessionBreakTotal.textContent = '0';
+    elements.sessionBreakCompliance.textContent = '--';
 
     if (elements.postureAlertCount) {
         elements.postureAlertCount.textContent = '0';
@@ -1640,6 +3927,14 @@ function resetStatistics() {
 
 // Load saved settings and apply to UI
 loadSettings();
+initializeAlerts();
 applySettingsToUI();
+updateRecordingControls();
+
+// Engine reads the loaded settings object, so create it afterwards
+initializeEngine();
+initializeEventStream();
+initializeHistory();
+initializeSounds();
 
 setupEventListeners();
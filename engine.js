@@ -0,0 +1,1700 @@
+/**
+ * Detection Engine - DOM-free face touch and posture detection
+ * Consumes landmark frames (face, hands, pose) plus a settings object and emits typed events.
+ * Has no dependency on the page, the camera or MediaPipe, so it also runs in Node.
+ */
+
+// ============================================================================
+// Landmark Definitions
+// ============================================================================
+
+// Face regions for nail-biting / face touch detection
+// These indices correspond to MediaPipe Face Mesh landmarks
+export const FACE_REGIONS = {
+    // Mouth region - critical for nail biting detection
+    mouth: [0, 13, 14, 17, 37, 39, 40, 61, 78, 80, 81, 82, 84, 87, 88, 91, 95, 146, 178, 181, 185, 191, 267, 269, 270, 291, 308, 310, 311, 312, 314, 317, 318, 321, 324, 375, 402, 405, 409, 415],
+    // Nose region
+    nose: [1, 2, 4, 5, 6, 19, 94, 168, 195, 197, 236, 237, 238, 239, 240, 241, 242, 250, 456, 457, 458, 459, 460, 461, 462],
+    // Left eye region
+    leftEye: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246],
+    // Right eye region
+    rightEye: [362, 382, 381, 380, 374, 373, 390, 249, 263, 466, 388, 387, 386, 385, 384, 398],
+    // Cheeks
+    leftCheek: [117, 118, 119, 120, 121, 126, 142, 203, 206, 216, 207, 187],
+    rightCheek: [346, 347, 348, 349, 350, 355, 371, 423, 426, 436, 427, 411],
+    // Chin
+    chin: [152, 175, 176, 148, 149, 150, 136, 169, 170, 171, 377, 378, 379, 365, 397, 288, 361, 323]
+};
+
+// Regions around the face that the mesh does not cover, for hair-pulling and
+// ear-picking habits. Each is built from face-oval landmarks pushed outward along
+// the face's own axes (see getZoneLandmarks), so they follow head size and tilt.
+// `up` is chin -> top of forehead, `side` is one face width toward that side.
+export const OUTER_REGIONS = {
+    // Top of the forehead up to the hairline
+    forehead: { base: [54, 103, 67, 109, 10, 338, 297, 332, 284], offsets: [[0, 0], [0.25, 0]], sideOf: 234 },
+    // Sides of the head above the temples
+    leftScalp: { base: [162, 21, 54], offsets: [[0.1, 0.05], [0.25, 0.1], [0.1, 0.15]], sideOf: 234 },
+    rightScalp: { base: [389, 251, 284], offsets: [[0.1, 0.05], [0.25, 0.1], [0.1, 0.15]], sideOf: 454 },
+    // Ears, just outside the face oval at eye to mouth height
+    leftEar: { base: [127, 234, 93], offsets: [[0, 0.08], [0.1, 0.1], [-0.1, 0.1]], sideOf: 234, poseEar: 8 },
+    rightEar: { base: [356, 454, 323], offsets: [[0, 0.08], [0.1, 0.1], [-0.1, 0.1]], sideOf: 454, poseEar: 7 }
+};
+
+// Every built-in zone, in display order
+export const ZONES = [...Object.keys(FACE_REGIONS), ...Object.keys(OUTER_REGIONS)];
+
+/**
+ * Built-in zones followed by the user's custom zones.
+ * Custom zones are `{ id, name, color, landmarks }` entries in `settings.customZones`,
+ * where `landmarks` are face mesh indices; everything else treats them like built-ins.
+ * @param {Object} settings - uses `customZones`
+ * @returns {string[]} zone ids
+ */
+export function getZoneIds(settings) {
+    return [...ZONES, ...(settings.customZones || []).map(zone => zone.id)];
+}
+
+// Hand fingertip indices (MediaPipe Hand Landmarks)
+export const FINGERTIPS = [4, 8, 12, 16, 20]; // thumb, index, middle, ring, pinky
+export const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// MediaPipe Pose Landmark indices for key body points
+export const POSE_LANDMARKS = {
+    NOSE: 0,
+    LEFT_EYE_INNER: 1,
+    LEFT_EYE: 2,
+    LEFT_EYE_OUTER: 3,
+    RIGHT_EYE_INNER: 4,
+    RIGHT_EYE: 5,
+    RIGHT_EYE_OUTER: 6,
+    LEFT_EAR: 7,
+    RIGHT_EAR: 8,
+    MOUTH_LEFT: 9,
+    MOUTH_RIGHT: 10,
+    LEFT_SHOULDER: 11,
+    RIGHT_SHOULDER: 12,
+    LEFT_ELBOW: 13,
+    RIGHT_ELBOW: 14,
+    LEFT_WRIST: 15,
+    RIGHT_WRIST: 16,
+    LEFT_PINKY: 17,
+    RIGHT_PINKY: 18,
+    LEFT_INDEX: 19,
+    RIGHT_INDEX: 20,
+    LEFT_THUMB: 21,
+    RIGHT_THUMB: 22,
+    LEFT_HIP: 23,
+    RIGHT_HIP: 24,
+    LEFT_KNEE: 25,
+    RIGHT_KNEE: 26,
+    LEFT_ANKLE: 27,
+    RIGHT_ANKLE: 28,
+    LEFT_HEEL: 29,
+    RIGHT_HEEL: 30,
+    LEFT_FOOT_INDEX: 31,
+    RIGHT_FOOT_INDEX: 32
+};
+
+// ============================================================================
+// Face Touch Detection
+// ============================================================================
+
+/**
+ * Find the enabled face region touched by a fingertip.
+ * When several fingertips are in range, the one closest to its zone (relative to that
+ * zone's touch distance) wins, so the reported finger and hand are the ones really touching.
+ * @param {Array|null} faceLandmarks - normalized face mesh landmarks
+ * @param {Array} handLandmarksList - normalized landmarks for each detected hand
+ * @param {Object} settings - uses `sensitivity`, `zones` and `zoneSettings`
+ * @param {number} width - frame width in pixels
+ * @param {number} height - frame height in pixels
+ * @param {number} [thresholdScale] - multiplies the touch distance (release distance while touching)
+ * @param {Array|null} [pose] - pose landmarks from the same camera, refines the ear zones
+ * @returns {{zone: string, finger: string, handIndex: number}|null} the touched zone, finger and
+ *   index of the touching hand, or null when nothing is touched
+ */
+export function checkFaceTouch(faceLandmarks, handLandmarksList, settings, width, height, thresholdScale = 1, pose = null) {
+    if (!faceLandmarks || handLandmarksList.length === 0) {
+        return null;
+    }
+
+    const facePoints = getZonePoints(faceLandmarks, settings, width, height, pose);
+
+    // If no zones enabled, no detection
+    if (Object.keys(facePoints).length === 0) {
+        return null;
+    }
+
+    // Thresholds scale with the face so they mean the same at any distance or resolution
+    const faceScale = getFaceScale(faceLandmarks, width, height);
+    const thresholds = {};
+    for (const region of Object.keys(facePoints)) {
+        thresholds[region] = getTouchThreshold(settings, region, faceScale) * thresholdScale;
+    }
+    const depthTolerance = faceScale * DEPTH_TOLERANCE;
+
+    let closest = null;
+    let closestRatio = 1;
+
+    // Check each hand
+    for (const [handIndex, handLandmarks] of handLandmarksList.entries()) {
+        // Check fingertips
+        for (let i = 0; i < FINGERTIPS.length; i++) {
+            const tip = handLandmarks[FINGERTIPS[i]];
+            const tipPoint = {
+                x: tip.x * width,
+                y: tip.y * height,
+                z: tip.z * width
+            };
+
+            // Check against each enabled face region
+            for (const [region, points] of Object.entries(facePoints)) {
+                const minDist = getMinDistance(tipPoint, points);
+
+                if (minDist < thresholds[region]) {
+                    // Additional z-depth check to reduce false positives
+                    // Hand should be roughly at same depth or closer than face
+                    const avgFaceZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
+                    const zDiff = tipPoint.z - avgFaceZ;
+
+                    // If hand is significantly behind face, ignore
+                    const ratio = minDist / thresholds[region];
+                    if (zDiff < depthTolerance && ratio < closestRatio) {
+                        closest = { zone: region, finger: FINGER_NAMES[i], handIndex };
+                        closestRatio = ratio;
+                    }
+                }
+            }
+        }
+    }
+
+    return closest;
+}
+
+// Zone tuning used for zones missing from `settings.zoneSettings`
+export const DEFAULT_ZONE_SETTINGS = {
+    distance: 30,       // percent of the eye distance (see getFaceScale) at 100% sensitivity
+    sensitivity: 100    // percent
+};
+
+// A fingertip this far behind the face (in eye distances) is passing behind it, not touching
+const DEPTH_TOLERANCE = 0.4;
+
+// Outer eye corners - far enough apart to be stable, and always visible when the face is
+const FACE_SCALE_LANDMARKS = [33, 263];
+
+/**
+ * Size of the face in pixels, measured as the 3D distance between the outer eye corners.
+ * Using depth as well keeps it steady when the head turns.
+ * @param {Array} faceLandmarks - normalized face mesh landmarks
+ * @param {number} width - frame width in pixels
+ * @param {number} height - frame height in pixels
+ */
+export function getFaceScale(faceLandmarks, width, height) {
+    const [a, b] = FACE_SCALE_LANDMARKS.map(idx => faceLandmarks[idx]);
+    const dx = (a.x - b.x) * width;
+    const dy = (a.y - b.y) * height;
+    const dz = (a.z - b.z) * width;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Touch distance in pixels for a zone.
+ * The zone's distance is a share of the face size, scaled by the zone's sensitivity
+ * and then by the global one. Lower sensitivity = larger threshold = less sensitive.
+ * @param {Object} settings - uses `sensitivity` and `zoneSettings`
+ * @param {string} region - zone id (see getZoneIds)
+ * @param {number} faceScale - from getFaceScale
+ */
+export function getTouchThreshold(settings, region, faceScale) {
+    const zone = settings.zoneSettings?.[region] || DEFAULT_ZONE_SETTINGS;
+    return faceScale * (zone.distance / 100) / (zone.sensitivity / 100) / (settings.sensitivity / 100);
+}
+
+/**
+ * Nearest enabled zone for every hand, ignoring depth.
+ * Distances are in touch distances (1 = at that zone's threshold), so zones with
+ * different thresholds compare fairly. Used to follow a hand across frames.
+ * @param {Array|null} faceLandmarks - normalized face mesh landmarks
+ * @param {Array} handLandmarksList - normalized landmarks for each detected hand
+ * @param {Object} settings - uses `sensitivity`, `zones` and `zoneSettings`
+ * @param {number} width - frame width in pixels
+ * @param {number} height - frame height in pixels
+ * @param {Array|null} [pose] - pose landmarks from the same camera, refines the ear zones
+ * @returns {{handIndex: number, zone: string, finger: string, distance: number}[]} one entry per hand
+ */
+export function measureHandDistances(faceLandmarks, handLandmarksList, settings, width, height, pose = null) {
+    if (!faceLandmarks) {
+        return [];
+    }
+
+    const faceScale = getFaceScale(faceLandmarks, width, height);
+    const facePoints = Object.entries(getZonePoints(faceLandmarks, settings, width, height, pose))
+        .map(([region, points]) => [region, points, getTouchThreshold(settings, region, faceScale)]);
+    if (facePoints.length === 0) {
+        return [];
+    }
+
+    return handLandmarksList.map((handLandmarks, handIndex) => {
+        const nearest = { handIndex, zone: null, finger: null, distance: Infinity };
+        FINGERTIPS.forEach((tipIndex, i) => {
+            const tip = handLandmarks[tipIndex];
+            const tipPoint = { x: tip.x * width, y: tip.y * height };
+            for (const [region, points, threshold] of facePoints) {
+                const distance = getMinDistance(tipPoint, points) / threshold;
+                if (distance < nearest.distance) {
+                    Object.assign(nearest, { zone: region, finger: FINGER_NAMES[i], distance });
+                }
+            }
+        });
+        return nearest;
+    });
+}
+
+/**
+ * Which of the user's hands a MediaPipe handedness label refers to.
+ * MediaPipe labels hands as if the image were mirrored (selfie view), but the
+ * camera frames we pass in are not flipped, so the labels come out swapped.
+ * @param {string|null} label - 'Left' or 'Right'
+ * @returns {'left'|'right'|null}
+ */
+export function getHandSide(label) {
+    if (label === 'Left') return 'right';
+    if (label === 'Right') return 'left';
+    return null;
+}
+
+/**
+ * Normalized points outlining a zone.
+ * Mesh and custom regions are plain landmarks; outer regions are face-oval landmarks
+ * shifted outward, plus the pose ear landmark when a pose from the same camera is given.
+ * @param {string} region - zone id (see getZoneIds)
+ * @param {Array} faceLandmarks - normalized face mesh landmarks
+ * @param {Object} settings - uses `customZones`
+ * @param {Array|null} [pose] - pose landmarks from the same camera as the face
+ * @returns {{x: number, y: number, z: number}[]}
+ */
+export function getZoneLandmarks(region, faceLandmarks, settings, pose = null) {
+    if (FACE_REGIONS[region]) {
+        return FACE_REGIONS[region].map(idx => faceLandmarks[idx]);
+    }
+
+    if (!OUTER_REGIONS[region]) {
+        const custom = (settings.customZones || []).find(zone => zone.id === region);
+        return custom ? custom.landmarks.map(idx => faceLandmarks[idx]).filter(Boolean) : [];
+    }
+
+    const { base, offsets, sideOf, poseEar } = OUTER_REGIONS[region];
+    const chin = faceLandmarks[152];
+    const top = faceLandmarks[10];
+    const side = faceLandmarks[sideOf];
+    const other = faceLandmarks[sideOf === 234 ? 454 : 234];
+
+    const up = { x: top.x - chin.x, y: top.y - chin.y };
+    const out = { x: side.x - other.x, y: side.y - other.y };
+
+    const points = [];
+    for (const idx of base) {
+        const lm = faceLandmarks[idx];
+        for (const [alongUp, alongSide] of offsets) {
+            points.push({
+                x: lm.x + up.x * alongUp + out.x * alongSide,
+                y: lm.y + up.y * alongUp + out.y * alongSide,
+                z: lm.z
+            });
+        }
+    }
+
+    // MediaPipe pose ears are named from the person's point of view, which is the
+    // opposite side to the face mesh naming used for zones
+    const ear = poseEar !== undefined ? pose?.[poseEar] : null;
+    if (ear && ear.visibility > 0.5) {
+        points.push({ x: ear.x, y: ear.y, z: side.z });
+    }
+
+    return points;
+}
+
+// Pixel coordinates of each enabled zone's points, keyed by zone
+function getZonePoints(faceLandmarks, settings, width, height, pose) {
+    const facePoints = {};
+    for (const region of getZoneIds(settings)) {
+        if (!settings.zones[region]) continue;
+        const points = getZoneLandmarks(region, faceLandmarks, settings, pose);
+        if (points.length === 0) continue;
+        facePoints[region] = points.map(lm => ({
+            x: lm.x * width,
+            y: lm.y * height,
+            z: lm.z * width
+        }));
+    }
+    return facePoints;
+}
+
+export function getMinDistance(point, targets) {
+    let minDist = Infinity;
+    for (const target of targets) {
+        const dx = point.x - target.x;
+        const dy = point.y - target.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < minDist) {
+            minDist = dist;
+        }
+    }
+    return minDist;
+}
+
+// ============================================================================
+// Nail Biting Confirmation
+// ============================================================================
+
+// Outer lip contour in drawing order (MediaPipe Face Mesh)
+export const LIP_CONTOUR = [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185];
+
+// jawOpen blendshape score above which the teeth are apart enough to hold a nail
+const BITE_JAW_OPEN = 0.05;
+
+/**
+ * Tell a fingertip between the teeth from a hand merely resting near the mouth:
+ * some fingertip has to be inside the outer lip contour while the jaw is open.
+ * @param {Array} faceLandmarks - normalized face mesh landmarks
+ * @param {Array} handLandmarks - normalized landmarks of the touching hand
+ * @param {Object<string, number>|null} blendshapes - face blendshape scores by name
+ * @returns {boolean}
+ */
+export function isBiting(faceLandmarks, handLandmarks, blendshapes) {
+    if (!blendshapes || (blendshapes.jawOpen ?? 0) < BITE_JAW_OPEN) {
+        return false;
+    }
+
+    const lips = LIP_CONTOUR.map(idx => faceLandmarks[idx]);
+    return FINGERTIPS.some(idx => isInsidePolygon(handLandmarks[idx], lips));
+}
+
+/**
+ * Even-odd ray casting point-in-polygon test.
+ * Works on normalized coordinates too, since scaling keeps containment.
+ * @param {{x: number, y: number}} point
+ * @param {{x: number, y: number}[]} polygon
+ */
+export function isInsidePolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// ============================================================================
+// Touch State Machine
+// ============================================================================
+
+/**
+ * Debounce raw per-frame contact into touches.
+ *
+ *   idle -> pending     contact seen
+ *   pending -> touching contact held for `touchDwellMs` (touch-start)
+ *   pending -> idle     contact lost before that - treated as noise
+ *   touching -> releasing contact lost
+ *   releasing -> touching contact back within `touchReleaseGapMs`, same touch continues
+ *   releasing -> idle   no contact for `touchReleaseGapMs` (touch-end)
+ *
+ * A contact with `biting: true` marks the whole touch as biting: touch-start carries
+ * `biting: true` if that was seen before the touch was confirmed, otherwise bite-start
+ * fires when it is first seen. touch-repeat and touch-end carry the flag as well.
+ *
+ * Works on contact / no-contact and timestamps only, so it can be driven without landmarks.
+ * Durations run from the first contact to the last, excluding the dwell and gap waits at the ends.
+ * @param {Object} settings - uses `touchDwellMs`, `touchReleaseGapMs` and `alertCooldownMs`; read on every update
+ */
+export function createTouchTracker(settings) {
+    const tracker = {
+        settings,
+        phase: 'idle',
+        touch: null,            // { zone, finger, hand, biting } of the latest contact
+        startTime: null,        // first contact
+        releaseTime: null,      // contact lost while releasing
+        lastAlertTime: null,
+
+        // Touches count from touch-start until touch-end, including the release gap
+        get isTouching() {
+            return tracker.phase === 'touching' || tracker.phase === 'releasing';
+        },
+
+        /**
+         * Advance the state machine by one frame.
+         * @param {Object|null} touch - contact in this frame, e.g. { zone, finger, hand, biting }, or null
+         * @param {number} timestamp - milliseconds, monotonically increasing
+         * @returns {Object[]} events to emit, e.g. { type: 'touch-start', timestamp, zone, finger, hand }
+         */
+        update(touch, timestamp) {
+            const events = [];
+            const { touchDwellMs = 0, touchReleaseGapMs = 0, alertCooldownMs } = tracker.settings;
+
+            if (touch) {
+                // Once a touch has been seen biting it stays a bite until it ends
+                const wasBiting = tracker.touch?.biting ?? false;
+                tracker.touch = { ...touch, biting: wasBiting || Boolean(touch.biting) };
+
+                if (tracker.phase === 'idle') {
+                    tracker.phase = 'pending';
+                    tracker.startTime = timestamp;
+                } else if (tracker.phase === 'releasing') {
+                    tracker.phase = 'touching';
+                    tracker.releaseTime = null;
+                }
+
+                if (tracker.phase === 'pending') {
+                    if (timestamp - tracker.startTime >= touchDwellMs) {
+                        // Held long enough - alert now
+                        tracker.phase = 'touching';
+                        tracker.lastAlertTime = timestamp;
+                        events.push({ type: 'touch-start', timestamp: tracker.startTime, ...tracker.touch });
+                    }
+                } else if (tracker.touch.biting && !wasBiting) {
+                    // A touch near the mouth turned into biting - alert now
+                    tracker.lastAlertTime = timestamp;
+                    events.push({ type: 'bite-start', timestamp, ...tracker.touch });
+                } else if (timestamp - tracker.lastAlertTime >= alertCooldownMs) {
+                    // Still touching - repeat the alert every cooldown period
+                    tracker.lastAlertTime = timestamp;
+                    events.push({
+                        type: 'touch-repeat',
+                        timestamp,
+                        ...tracker.touch,
+                        durationMs: timestamp - tracker.startTime
+                    });
+                }
+            } else {
+                if (tracker.phase === 'pending') {
+                    tracker.reset();
+                } else if (tracker.phase === 'touching') {
+                    tracker.phase = 'releasing';
+                    tracker.releaseTime = timestamp;
+                }
+
+                if (tracker.phase === 'releasing' && timestamp - tracker.releaseTime >= touchReleaseGapMs) {
+                    events.push(...tracker.end(timestamp));
+                }
+            }
+
+            return events;
+        },
+
+        /**
+         * End any touch in progress, e.g. when monitoring stops.
+         * @param {number} timestamp
+         * @returns {Object[]} the touch-end event, if a touch was in progress
+         */
+        end(timestamp) {
+            const events = [];
+            if (tracker.isTouching) {
+                const endTime = tracker.releaseTime ?? timestamp;
+                events.push({
+                    type: 'touch-end',
+                    timestamp: endTime,
+                    ...tracker.touch,
+                    durationMs: endTime - tracker.startTime
+                });
+            }
+            tracker.reset();
+            return events;
+        },
+
+        // Forget the current touch without ending it
+        reset() {
+            tracker.phase = 'idle';
+            tracker.touch = null;
+            tracker.startTime = null;
+            tracker.releaseTime = null;
+            tracker.lastAlertTime = null;
+        }
+    };
+
+    return tracker;
+}
+
+// ============================================================================
+// Approach Prediction
+// ============================================================================
+
+// How much recent motion is used to estimate a hand's approach speed
+const APPROACH_WINDOW_MS = 300;
+const APPROACH_MIN_SAMPLES = 4;
+// Only hands within this many touch distances of a zone are considered approaching
+const APPROACH_RANGE = 4;
+// Closing speed below this (touch distances per second) is drifting, not reaching
+const APPROACH_MIN_SPEED = 2;
+// Share of frame-to-frame steps that must move closer for the motion to count as steady
+const APPROACH_STEADINESS = 0.75;
+
+/**
+ * Predict contact from each hand's distance to the nearest zone over recent frames.
+ * Distances are in touch distances (see measureHandDistances), so contact is at 1.
+ * A hand that closes in steadily and is expected to reach the touch distance within
+ * `approachLeadMs` produces one approach-warning. The hand has to move back out of
+ * range (or leave the frame) before it can warn again.
+ * @param {Object} settings - uses `approachLeadMs`; read on every update
+ */
+export function createApproachTracker(settings) {
+    const hands = new Map();    // key -> { samples: [{ t, d }], warned }
+
+    const tracker = {
+        settings,
+
+        /**
+         * @param {{key: string|number, zone: string, finger: string, hand: string|null, distance: number}[]} measurements -
+         *   nearest zone per hand this frame, keyed so the same hand can be followed across frames
+         * @param {number} timestamp - milliseconds, monotonically increasing
+         * @returns {Object[]} approach-warning events { type, timestamp, zone, finger, hand, etaMs }
+         */
+        update(measurements, timestamp) {
+            const events = [];
+            const seen = new Set();
+
+            for (const { key, zone, finger, hand, distance } of measurements) {
+                seen.add(key);
+                const track = hands.get(key) || { samples: [], warned: false };
+                hands.set(key, track);
+
+                track.samples.push({ t: timestamp, d: distance });
+                while (timestamp - track.samples[0].t > APPROACH_WINDOW_MS) {
+                    track.samples.shift();
+                }
+
+                // Re-arm once the hand has moved away again
+                if (distance > APPROACH_RANGE) {
+                    track.warned = false;
+                    continue;
+                }
+                if (track.warned || distance <= 1) continue;
+
+                const speed = getClosingSpeed(track.samples);
+                if (speed === null || speed * 1000 < APPROACH_MIN_SPEED) continue;
+
+                const etaMs = (distance - 1) / speed;
+                if (etaMs <= tracker.settings.approachLeadMs) {
+                    track.warned = true;
+                    events.push({ type: 'approach-warning', timestamp, zone, finger, hand, etaMs: Math.round(etaMs) });
+                }
+            }
+
+            for (const key of hands.keys()) {
+                if (!seen.has(key)) hands.delete(key);
+            }
+
+            return events;
+        },
+
+        reset() {
+            hands.clear();
+        }
+    };
+
+    return tracker;
+}
+
+// Closing speed in touch distances per millisecond from a least-squares fit, or null when
+// there is too little or too unsteady motion to tell
+function getClosingSpeed(samples) {
+    if (samples.length < APPROACH_MIN_SAMPLES) return null;
+
+    let closer = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i].d < samples[i - 1].d) closer++;
+    }
+    if (closer / (samples.length - 1) < APPROACH_STEADINESS) return null;
+
+    const meanT = samples.reduce((sum, s) => sum + s.t, 0) / samples.length;
+    const meanD = samples.reduce((sum, s) => sum + s.d, 0) / samples.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const s of samples) {
+        covariance += (s.t - meanT) * (s.d - meanD);
+        variance += (s.t - meanT) ** 2;
+    }
+    if (variance === 0) return null;
+
+    const speed = -covariance / variance;
+    return speed > 0 ? speed : null;
+}
+
+// ============================================================================
+// Posture Detection
+// ============================================================================
+
+// How long a calibration captures good posture, and the fewest usable frames it needs
+export const POSTURE_CALIBRATION_MS = 5000;
+const POSTURE_CALIBRATION_MIN_SAMPLES = 10;
+
+// Front view: default head drop and lean toward the screen that count as bad, in percent
+const FRONT_HEAD_DROP_THRESHOLD = 20;
+const FRONT_LEAN_THRESHOLD = 20;
+
+// Typical front-view proportions, the reference for head drop and lean until calibrated:
+// ear height above the shoulder line, and ear distance, each relative to shoulder width
+const TYPICAL_NECK_RATIO = 0.5;
+const TYPICAL_HEAD_RATIO = 0.4;
+
+// Metrics that only count in one direction (further forward / lower / closer)
+const SIGNED_METRICS = new Set(['hunch', 'headDrop', 'lean']);
+
+// [metric, issue, threshold from the posture settings] for each camera view
+const POSTURE_RULES = {
+    lateral: [
+        ['headForward', 'Head forward', posture => posture.headForwardThreshold],
+        ['shoulderTilt', 'Uneven shoulders', posture => posture.shoulderSlouchThreshold],
+        ['spine', 'Spine curved', posture => posture.spineAngleThreshold],
+        ['hunch', 'Shoulders hunched', () => 0.05]
+    ],
+    front: [
+        ['shoulderTilt', 'Uneven shoulders', posture => posture.shoulderSlouchThreshold],
+        ['headTilt', 'Head tilted', posture => posture.headForwardThreshold],
+        ['headDrop', 'Head dropped', () => FRONT_HEAD_DROP_THRESHOLD],
+        ['lean', 'Leaning toward screen', () => FRONT_LEAN_THRESHOLD]
+    ]
+};
+
+/**
+ * Evaluate a pose against the posture thresholds.
+ * With a calibrated baseline (see getPostureBaseline) the thresholds apply to the
+ * deviation from the user's own good posture instead of the absolute values.
+ * @param {Array|null} poseLandmarks - normalized pose landmarks
+ * @param {Object} settings - uses the `posture` settings
+ * @param {'lateral'|'front'} [view] - side camera, or the main camera facing the user
+ * @returns {{issues: string[], metrics: Object}} detected issues (empty when posture is fine)
+ *   and the measured deviations (see measurePosture; null when not visible)
+ */
+export function checkPosture(poseLandmarks, settings, view = 'lateral') {
+    const issues = [];
+
+    if (!poseLandmarks || !settings.posture.enabled) {
+        return { issues, metrics: measurePosture(null, view) };
+    }
+
+    // Higher sensitivity = lower thresholds
+    const sensitivity = settings.posture.sensitivity / 100;
+    const metrics = getPostureDeviations(measurePosture(poseLandmarks, view), getPostureBaseline(settings));
+
+    for (const [metric, issue, getThreshold] of POSTURE_RULES[view]) {
+        if (metrics[metric] !== null && metrics[metric] > getThreshold(settings.posture) / sensitivity) {
+            issues.push(issue);
+        }
+    }
+
+    return { issues, metrics };
+}
+
+/**
+ * Raw posture measurements of a pose, before any baseline is applied.
+ * Lateral view: `headForward`, `shoulderTilt` and `spine` in degrees, `hunch` in normalized units.
+ * Front view: `shoulderTilt` and `headTilt` (roll) in degrees, `headDrop` and `lean` in percent
+ * of typical proportions (positive = head lower / closer to the screen).
+ * @param {Array|null} poseLandmarks - normalized pose landmarks
+ * @param {'lateral'|'front'} [view]
+ * @returns {Object} metric values, null when the landmarks are not visible
+ */
+export function measurePosture(poseLandmarks, view = 'lateral') {
+    return view === 'front' ? measureFrontPosture(poseLandmarks) : measureLateralPosture(poseLandmarks);
+}
+
+function measureLateralPosture(poseLandmarks) {
+    const metrics = {
+        headForward: null,
+        shoulderTilt: null,
+        spine: null,
+        hunch: null
+    };
+
+    if (!poseLandmarks) {
+        return metrics;
+    }
+
+    // Get key landmarks
+    const leftEar = poseLandmarks[POSE_LANDMARKS.LEFT_EAR];
+    const rightEar = poseLandmarks[POSE_LANDMARKS.RIGHT_EAR];
+    const leftShoulder = poseLandmarks[POSE_LANDMARKS.LEFT_SHOULDER];
+    const rightShoulder = poseLandmarks[POSE_LANDMARKS.RIGHT_SHOULDER];
+    const leftHip = poseLandmarks[POSE_LANDMARKS.LEFT_HIP];
+    const rightHip = poseLandmarks[POSE_LANDMARKS.RIGHT_HIP];
+
+    // Use the ear closest to camera (depending on which side the lateral camera is)
+    const ear = leftEar.visibility > rightEar.visibility ? leftEar : rightEar;
+    const shoulder = leftShoulder.visibility > rightShoulder.visibility ? leftShoulder : rightShoulder;
+    const hip = leftHip.visibility > rightHip.visibility ? leftHip : rightHip;
+
+    // In lateral view, if ear.x is significantly ahead of shoulder.x, head is forward
+    if (ear && shoulder && ear.visibility > 0.5 && shoulder.visibility > 0.5) {
+        const headForwardAngle = calculateAngle(
+            { x: shoulder.x, y: shoulder.y - 0.1 }, // point above shoulder
+            shoulder,
+            ear
+        );
+        metrics.headForward = Math.abs(90 - headForwardAngle);
+    }
+
+    if (leftShoulder && rightShoulder &&
+        leftShoulder.visibility > 0.5 && rightShoulder.visibility > 0.5) {
+        metrics.shoulderTilt = Math.abs(
+            Math.atan2(rightShoulder.y - leftShoulder.y, rightShoulder.x - leftShoulder.x) * (180 / Math.PI)
+        );
+    }
+
+    if (ear && shoulder && hip &&
+        ear.visibility > 0.5 && shoulder.visibility > 0.5 && hip.visibility > 0.5) {
+        // Angle formed by ear-shoulder-hip
+        metrics.spine = Math.abs(180 - calculateAngle(ear, shoulder, hip));
+    }
+
+    if (shoulder && hip && shoulder.visibility > 0.5 && hip.visibility > 0.5) {
+        metrics.hunch = shoulder.x - hip.x;
+    }
+
+    return metrics;
+}
+
+// Facing the camera, both ears and shoulders are visible; proportions are taken
+// relative to shoulder width so they do not depend on the distance to the camera
+function measureFrontPosture(poseLandmarks) {
+    const metrics = {
+        shoulderTilt: null,
+        headTilt: null,
+        headDrop: null,
+        lean: null
+    };
+
+    if (!poseLandmarks) {
+        return metrics;
+    }
+
+    const leftEar = poseLandmarks[POSE_LANDMARKS.LEFT_EAR];
+    const rightEar = poseLandmarks[POSE_LANDMARKS.RIGHT_EAR];
+    const leftShoulder = poseLandmarks[POSE_LANDMARKS.LEFT_SHOULDER];
+    const rightShoulder = poseLandmarks[POSE_LANDMARKS.RIGHT_SHOULDER];
+
+    const shouldersVisible = leftShoulder.visibility > 0.5 && rightShoulder.visibility > 0.5;
+    const earsVisible = leftEar.visibility > 0.5 && rightEar.visibility > 0.5;
+
+    if (shouldersVisible) {
+        metrics.shoulderTilt = getRollAngle(leftShoulder, rightShoulder);
+    }
+
+    if (earsVisible) {
+        metrics.headTilt = getRollAngle(leftEar, rightEar);
+    }
+
+    const shoulderWidth = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y);
+    if (shouldersVisible && earsVisible && shoulderWidth > 0) {
+        const neckHeight = (leftShoulder.y + rightShoulder.y) / 2 - (leftEar.y + rightEar.y) / 2;
+        const headWidth = Math.hypot(leftEar.x - rightEar.x, leftEar.y - rightEar.y);
+
+        metrics.headDrop = (1 - (neckHeight / shoulderWidth) / TYPICAL_NECK_RATIO) * 100;
+
+        // Leaning in brings the head closer to the camera than the shoulders, so it grows relative to them
+        metrics.lean = ((headWidth / shoulderWidth) / TYPICAL_HEAD_RATIO - 1) * 100;
+    }
+
+    return metrics;
+}
+
+// Angle of the line between two points against the horizontal, ignoring direction
+function getRollAngle(a, b) {
+    return Math.abs(Math.atan2(a.y - b.y, Math.abs(a.x - b.x)) * (180 / Math.PI));
+}
+
+/**
+ * Calibrated good-posture baseline for the current posture camera.
+ * Baselines live in `settings.posture.baselines` (see getPostureBaselineKey), since
+ * every camera placement sees the same posture at different angles.
+ * @param {Object} settings - uses `posture.baselines`, `posture.view` and `posture.lateralCameraId`
+ * @returns {Object|null} baseline measurements (see measurePosture), or null when not calibrated
+ */
+export function getPostureBaseline(settings) {
+    return settings.posture.baselines?.[getPostureBaselineKey(settings)] || null;
+}
+
+/**
+ * Key of the current camera's baseline in `settings.posture.baselines`:
+ * 'front' for the main camera, otherwise the `lateralCameraId`.
+ * @param {Object} settings - uses `posture.view` and `posture.lateralCameraId`
+ */
+export function getPostureBaselineKey(settings) {
+    if (settings.posture.view === 'front') return 'front';
+    return settings.posture.lateralCameraId || 'default';
+}
+
+// Angles deviate from the baseline either way; signed metrics only count in their bad direction
+function getPostureDeviations(metrics, baseline) {
+    if (!baseline) return metrics;
+
+    const deviations = { ...metrics };
+    for (const key of Object.keys(metrics)) {
+        if (metrics[key] === null || typeof baseline[key] !== 'number') continue;
+        deviations[key] = SIGNED_METRICS.has(key)
+            ? metrics[key] - baseline[key]
+            : Math.abs(metrics[key] - baseline[key]);
+    }
+    return deviations;
+}
+
+/**
+ * Capture a good-posture baseline from a few seconds of pose frames.
+ * Each metric's baseline is the median of its visible samples, so a brief
+ * fidget or a missed detection does not skew it.
+ * @param {Object} [options]
+ * @param {number} [options.durationMs] - how long to capture, from the first frame with a pose
+ * @param {'lateral'|'front'} [options.view] - camera view of the pose frames
+ */
+export function createPostureCalibration({ durationMs = POSTURE_CALIBRATION_MS, view = 'lateral' } = {}) {
+    const samples = [];
+    let startTime = null;
+    let lastTime = null;
+
+    return {
+        /** Share of the capture time done, 0 to 1 */
+        get progress() {
+            if (startTime === null) return 0;
+            return Math.min(1, (lastTime - startTime) / durationMs);
+        },
+
+        get isComplete() {
+            return this.progress >= 1;
+        },
+
+        /**
+         * Add one frame.
+         * @param {Array|null} poseLandmarks
+         * @param {number} timestamp - milliseconds
+         */
+        add(poseLandmarks, timestamp) {
+            if (!poseLandmarks || this.isComplete) return;
+            if (startTime === null) startTime = timestamp;
+            lastTime = timestamp;
+            samples.push(measurePosture(poseLandmarks, view));
+        },
+
+        /**
+         * The captured baseline.
+         * @returns {Object|null} median measurements plus `samples`, or null when too few frames had a visible pose
+         */
+        getBaseline() {
+            const baseline = { samples: samples.length };
+            let usable = false;
+
+            for (const key of Object.keys(measurePosture(null, view))) {
+                const values = samples.map(s => s[key]).filter(v => v !== null).sort((a, b) => a - b);
+                if (values.length < POSTURE_CALIBRATION_MIN_SAMPLES) {
+                    baseline[key] = null;
+                    continue;
+                }
+                baseline[key] = values[Math.floor(values.length / 2)];
+                usable = true;
+            }
+
+            return usable ? baseline : null;
+        }
+    };
+}
+
+export function calculateAngle(pointA, pointB, pointC) {
+    // Calculate angle at pointB formed by pointA-pointB-pointC
+    const radians = Math.atan2(pointC.y - pointB.y, pointC.x - pointB.x) -
+                    Math.atan2(pointA.y - pointB.y, pointA.x - pointB.x);
+    let angle = Math.abs(radians * (180 / Math.PI));
+    if (angle > 180) {
+        angle = 360 - angle;
+    }
+    return angle;
+}
+
+// ============================================================================
+// Screen Distance
+// ============================================================================
+
+// Being too close has to last this long before it counts, so a quick lean-in does not
+const SCREEN_DISTANCE_SUSTAIN_MS = 3000;
+// A too-close spell ends once back beyond this share of the minimum distance
+const SCREEN_DISTANCE_RELEASE = 1.05;
+
+/**
+ * Apparent face size as a share of the frame width (the eye-corner distance, see getFaceScale).
+ * It shrinks in proportion to the distance from the camera, and does not depend on resolution.
+ * @param {Array} faceLandmarks - normalized face mesh landmarks
+ * @param {number} width - frame width in pixels
+ * @param {number} height - frame height in pixels
+ */
+export function measureFaceSize(faceLandmarks, width, height) {
+    return getFaceScale(faceLandmarks, width, height) / width;
+}
+
+/**
+ * Distance from the screen in centimeters, from the apparent face size.
+ * @param {Array|null} faceLandmarks - normalized face mesh landmarks
+ * @param {number} width - frame width in pixels
+ * @param {number} height - frame height in pixels
+ * @param {{distanceCm: number, faceSize: number}|null} calibration - face size at a known distance
+ * @returns {number|null} null without a face or a calibration
+ */
+export function estimateScreenDistance(faceLandmarks, width, height, calibration) {
+    if (!faceLandmarks || !calibration) return null;
+    const size = measureFaceSize(faceLandmarks, width, height);
+    return size > 0 ? calibration.distanceCm * calibration.faceSize / size : null;
+}
+
+/**
+ * Screen distance calibration from face sizes measured while sitting at a known distance.
+ * The median is used, so a few frames of turning away do not skew it.
+ * @param {number[]} faceSizes - from measureFaceSize
+ * @param {number} distanceCm - the known distance
+ * @returns {{distanceCm: number, faceSize: number}|null} null without usable measurements
+ */
+export function calibrateScreenDistance(faceSizes, distanceCm) {
+    const sizes = faceSizes.filter(size => size > 0).sort((a, b) => a - b);
+    if (sizes.length === 0) return null;
+    return { distanceCm, faceSize: sizes[Math.floor(sizes.length / 2)] };
+}
+
+/**
+ * Report spells of sitting closer than `screenDistance.minDistanceCm` to the screen.
+ * A spell has to last a few seconds before distance-warning fires (with the time it
+ * began); it repeats every `screenDistance.alertCooldownMs` and ends with distance-corrected.
+ * @param {Object} settings - uses `screenDistance`; read on every update
+ */
+export function createScreenDistanceTracker(settings) {
+    let closeSince = null;      // first frame of the current too-close spell
+    let isTooClose = false;     // spell long enough to count
+    let lastAlertTime = null;
+    let closestCm = null;
+
+    const tracker = {
+        settings,
+
+        get isTooClose() {
+            return isTooClose;
+        },
+
+        /**
+         * @param {number|null} distanceCm - estimated distance, null when unknown (no face)
+         * @param {number} timestamp - milliseconds, monotonically increasing
+         * @returns {Object[]} distance-warning { distanceCm }, distance-repeat { distanceCm, durationMs }
+         *   and distance-corrected { closestCm, durationMs } events
+         */
+        update(distanceCm, timestamp) {
+            const { minDistanceCm, alertCooldownMs } = tracker.settings.screenDistance;
+            const limit = isTooClose ? minDistanceCm * SCREEN_DISTANCE_RELEASE : minDistanceCm;
+
+            if (distanceCm === null || distanceCm >= limit) {
+                return tracker.end(timestamp);
+            }
+
+            if (closeSince === null) {
+                closeSince = timestamp;
+                closestCm = distanceCm;
+            }
+            closestCm = Math.min(closestCm, distanceCm);
+
+            if (!isTooClose) {
+                if (timestamp - closeSince < SCREEN_DISTANCE_SUSTAIN_MS) return [];
+                isTooClose = true;
+                lastAlertTime = timestamp;
+                return [{ type: 'distance-warning', timestamp: closeSince, distanceCm: Math.round(distanceCm) }];
+            }
+
+            if (timestamp - lastAlertTime >= alertCooldownMs) {
+                lastAlertTime = timestamp;
+                return [{
+                    type: 'distance-repeat',
+                    timestamp,
+                    distanceCm: Math.round(distanceCm),
+                    durationMs: timestamp - closeSince
+                }];
+            }
+            return [];
+        },
+
+        // Close a spell in progress
+        end(timestamp) {
+            const events = isTooClose
+                ? [{ type: 'distance-corrected', timestamp, closestCm: Math.round(closestCm), durationMs: timestamp - closeSince }]
+                : [];
+            tracker.reset();
+            return events;
+        },
+
+        reset() {
+            closeSince = null;
+            isTooClose = false;
+            lastAlertTime = null;
+            closestCm = null;
+        }
+    };
+
+    return tracker;
+}
+
+// ============================================================================
+// Blink Detection
+// ============================================================================
+
+// Eye contours for the eye aspect ratio: outer corner, two upper lid points,
+// inner corner, and the lower lid points below them (MediaPipe Face Mesh)
+const EYE_ASPECT_LANDMARKS = [
+    [33, 160, 158, 133, 153, 144],
+    [263, 387, 385, 362, 380, 373]
+];
+// Eyes count as closed below this share of their open aspect ratio, and open again above the second
+const BLINK_CLOSED_RATIO = 0.6;
+const BLINK_OPEN_RATIO = 0.8;
+// Closing the eyes for longer than this is resting them, not blinking
+const BLINK_MAX_MS = 500;
+// Blink rate is counted over this window, and only once the face was visible for all of it
+const BLINK_RATE_WINDOW_MS = 60000;
+// Losing the face for longer than this starts the measurement over
+const BLINK_MAX_GAP_MS = 2000;
+
+/**
+ * Eye aspect ratio (lid opening over eye width), averaged over both eyes.
+ * Around 0.3 for open eyes, falling toward 0 while they close.
+ * @param {Array|null} faceLandmarks - normalized face mesh landmarks
+ * @param {number} width - frame width in pixels
+ * @param {number} height - frame height in pixels
+ * @returns {number|null} null without a face
+ */
+export function getEyeAspectRatio(faceLandmarks, width, height) {
+    if (!faceLandmarks) return null;
+
+    const ratios = EYE_ASPECT_LANDMARKS.map(indices => {
+        const [p1, p2, p3, p4, p5, p6] = indices.map(i => ({
+            x: faceLandmarks[i].x * width,
+            y: faceLandmarks[i].y * height
+        }));
+        const eyeWidth = Math.hypot(p1.x - p4.x, p1.y - p4.y);
+        const opening = Math.hypot(p2.x - p6.x, p2.y - p6.y) + Math.hypot(p3.x - p5.x, p3.y - p5.y);
+        return eyeWidth > 0 ? opening / (2 * eyeWidth) : null;
+    }).filter(ratio => ratio !== null);
+
+    return ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : null;
+}
+
+/**
+ * Count blinks from eye aspect ratios and report spells of a low blink rate.
+ * The open-eye level is learned per person: it follows the ratio up quickly and down
+ * slowly, so blinks do not pull it down. The rate is the number of blinks in the last
+ * minute; a spell below `blink.minBlinksPerMinute` has to last `blink.lowRateMs` before
+ * blink-rate-low fires (with the time it began), repeats every `blink.alertCooldownMs`
+ * and ends with blink-rate-recovered.
+ * @param {Object} settings - uses `blink`; read on every update
+ */
+export function createBlinkTracker(settings) {
+    let openLevel = null;       // aspect ratio of open eyes
+    let closedSince = null;     // first frame of the current eye closure
+    let measuringSince = null;  // face visible without long gaps since then
+    let lastSeen = null;
+    let blinks = [];            // timestamps of blinks in the rate window
+    let lowSince = null;
+    let isLowRate = false;
+    let lastAlertTime = null;
+
+    const tracker = {
+        settings,
+
+        get isLowRate() {
+            return isLowRate;
+        },
+
+        // Blinks in the last minute, null until the face was visible for a whole minute
+        get blinksPerMinute() {
+            return measuringSince !== null && lastSeen - measuringSince >= BLINK_RATE_WINDOW_MS ? blinks.length : null;
+        },
+
+        /**
+         * @param {number|null} aspectRatio - from getEyeAspectRatio, null when no face is visible
+         * @param {number} timestamp - milliseconds, monotonically increasing
+         * @returns {Object[]} blink { durationMs }, blink-rate-low { blinksPerMinute },
+         *   blink-rate-repeat { blinksPerMinute, durationMs } and blink-rate-recovered
+         *   { blinksPerMinute, durationMs } events
+         */
+        update(aspectRatio, timestamp) {
+            if (aspectRatio === null) {
+                // A face that stays away for long ends the measurement
+                return lastSeen !== null && timestamp - lastSeen > BLINK_MAX_GAP_MS ? tracker.end(timestamp) : [];
+            }
+
+            if (lastSeen === null || timestamp - lastSeen > BLINK_MAX_GAP_MS) {
+                measuringSince = timestamp;
+                blinks = [];
+                closedSince = null;
+            }
+            lastSeen = timestamp;
+
+            const events = [];
+            const blink = detectBlink(aspectRatio, timestamp);
+            if (blink) {
+                blinks.push(blink.timestamp);
+                events.push(blink);
+            }
+            blinks = blinks.filter(time => timestamp - time < BLINK_RATE_WINDOW_MS);
+
+            events.push(...updateRate(timestamp));
+            return events;
+        },
+
+        // Close a low-rate spell in progress and stop measuring until the face is back
+        end(timestamp) {
+            const events = isLowRate
+                ? [{ type: 'blink-rate-recovered', timestamp, blinksPerMinute: tracker.blinksPerMinute, durationMs: timestamp - lowSince }]
+                : [];
+            tracker.reset();
+            return events;
+        },
+
+        reset() {
+            openLevel = null;
+            closedSince = null;
+            measuringSince = null;
+            lastSeen = null;
+            blinks = [];
+            lowSince = null;
+            isLowRate = false;
+            lastAlertTime = null;
+        }
+    };
+
+    function detectBlink(aspectRatio, timestamp) {
+        if (openLevel === null) {
+            openLevel = aspectRatio;
+        }
+
+        if (closedSince === null) {
+            if (aspectRatio < openLevel * BLINK_CLOSED_RATIO) {
+                closedSince = timestamp;
+            } else {
+                openLevel += (aspectRatio - openLevel) * (aspectRatio > openLevel ? 0.1 : 0.01);
+            }
+            return null;
+        }
+
+        if (aspectRatio > openLevel * BLINK_OPEN_RATIO) {
+            const durationMs = timestamp - closedSince;
+            const start = closedSince;
+            closedSince = null;
+            return durationMs <= BLINK_MAX_MS ? { type: 'blink', timestamp: start, durationMs } : null;
+        }
+        return null;
+    }
+
+    function updateRate(timestamp) {
+        const { minBlinksPerMinute, lowRateMs, alertCooldownMs } = tracker.settings.blink;
+        const blinksPerMinute = tracker.blinksPerMinute;
+
+        if (blinksPerMinute === null) return [];
+
+        if (blinksPerMinute >= minBlinksPerMinute) {
+            const events = isLowRate
+                ? [{ type: 'blink-rate-recovered', timestamp, blinksPerMinute, durationMs: timestamp - lowSince }]
+                : [];
+            lowSince = null;
+            isLowRate = false;
+            lastAlertTime = null;
+            return events;
+        }
+
+        if (lowSince === null) {
+            lowSince = timestamp;
+        }
+
+        if (!isLowRate) {
+            if (timestamp - lowSince < lowRateMs) return [];
+            isLowRate = true;
+            lastAlertTime = timestamp;
+            return [{ type: 'blink-rate-low', timestamp: lowSince, blinksPerMinute }];
+        }
+
+        if (timestamp - lastAlertTime >= alertCooldownMs) {
+            lastAlertTime = timestamp;
+            return [{ type: 'blink-rate-repeat', timestamp, blinksPerMinute, durationMs: timestamp - lowSince }];
+        }
+        return [];
+    }
+
+    return tracker;
+}
+
+// ============================================================================
+// Break Reminders
+// ============================================================================
+
+// No face for this long means the user got up (and it is long enough for a 20-20-20 eye break)
+const AWAY_AFTER_MS = 20000;
+
+/**
+ * Track presence from face visibility, and remind to take breaks.
+ * The user counts as away once no face was seen for 20 seconds (AWAY_AFTER_MS), whether they
+ * got up or the face was just not tracked; shorter gaps, such as tracking dropouts, go unnoticed.
+ * Sitting time runs from the first frame with a face after a break. Being away for
+ * `breaks.breakMinMs` counts as a break and restarts it; shorter times away only restart
+ * the eye break interval. After `breaks.sittingLimitMs` of sitting, break-due fires and
+ * repeats every `breaks.reminderRepeatMs` until the user leaves. With `breaks.eyeBreaksEnabled`,
+ * eye-break-due fires every `breaks.eyeBreakIntervalMs` of presence (the 20-20-20 rule).
+ * @param {Object} settings - uses `breaks`; read on every update
+ */
+export function createBreakTracker(settings) {
+    let lastSeen = null;        // last frame with a face
+    let isAway = false;
+    let sittingSince = null;
+    let eyeBreakSince = null;
+    let breakDueAt = null;      // first reminder of the current sitting stretch
+    let lastReminderTime = null;
+
+    const tracker = {
+        settings,
+
+        get isPresent() {
+            return lastSeen !== null && !isAway;
+        },
+
+        // Sitting time up to the last frame with a face
+        get sittingMs() {
+            return tracker.isPresent ? lastSeen - sittingSince : 0;
+        },
+
+        /**
+         * @param {boolean} faceVisible
+         * @param {number} timestamp - milliseconds, monotonically increasing
+         * @returns {Object[]} user-left { sittingMs, overdueMs }, user-returned { awayMs, tookBreak },
+         *   break-due { sittingMs }, break-repeat { sittingMs, overdueMs } and eye-break-due { sittingMs } events
+         */
+        update(faceVisible, timestamp) {
+            const { sittingLimitMs, reminderRepeatMs, breakMinMs, eyeBreaksEnabled, eyeBreakIntervalMs } = tracker.settings.breaks;
+
+            if (!faceVisible) {
+                if (lastSeen === null || isAway || timestamp - lastSeen < AWAY_AFTER_MS) return [];
+                isAway = true;
+                return [{
+                    type: 'user-left',
+                    timestamp: lastSeen,
+                    sittingMs: lastSeen - sittingSince,
+                    overdueMs: breakDueAt === null ? null : lastSeen - breakDueAt
+                }];
+            }
+
+            const events = [];
+            if (isAway) {
+                const awayMs = timestamp - lastSeen;
+                const tookBreak = awayMs >= breakMinMs;
+                events.push({ type: 'user-returned', timestamp, awayMs, tookBreak });
+
+                isAway = false;
+                eyeBreakSince = timestamp;
+                if (tookBreak) {
+                    sittingSince = timestamp;
+                    breakDueAt = null;
+                    lastReminderTime = null;
+                }
+            } else if (lastSeen === null) {
+                sittingSince = timestamp;
+                eyeBreakSince = timestamp;
+            }
+            lastSeen = timestamp;
+
+            const sittingMs = timestamp - sittingSince;
+            if (breakDueAt === null) {
+                if (sittingMs >= sittingLimitMs) {
+                    breakDueAt = timestamp;
+                    lastReminderTime = timestamp;
+                    events.push({ type: 'break-due', timestamp, sittingMs });
+                }
+            } else if (timestamp - lastReminderTime >= reminderRepeatMs) {
+                lastReminderTime = timestamp;
+                events.push({ type: 'break-repeat', timestamp, sittingMs, overdueMs: timestamp - breakDueAt });
+            }
+
+            if (eyeBreaksEnabled && timestamp - eyeBreakSince >= eyeBreakIntervalMs) {
+                eyeBreakSince = timestamp;
+                events.push({ type: 'eye-break-due', timestamp, sittingMs });
+            }
+
+            return events;
+        },
+
+        reset() {
+            lastSeen = null;
+            isAway = false;
+            sittingSince = null;
+            eyeBreakSince = null;
+            breakDueAt = null;
+            lastReminderTime = null;
+        }
+    };
+
+    return tracker;
+}
+
+// ============================================================================
+// Engine
+// ============================================================================
+
+// Longer gaps between posture frames (a stalled or hidden tab) only count this much
+const POSTURE_MAX_FRAME_GAP_MS = 1000;
+
+/**
+ * Create a detection engine bound to a settings object.
+ *
+ * Feed it one frame at a time with `processFrame`. Alert repeats are driven by
+ * frame timestamps rather than wall-clock timers, so replaying the same frames
+ * always produces the same events. Touches are debounced by `createTouchTracker`,
+ * so touch-start and touch-end carry the time of the first and last contact.
+ * Likewise bad posture has to last `posture.sustainMs` before posture-issue fires,
+ * and then carries the time the bad posture began.
+ *
+ * Events (payloads always include `timestamp`):
+ *   face-found, face-lost
+ *   approach-warning { zone, finger, hand, etaMs } - a hand is moving steadily toward a zone
+ *   touch-start { zone, finger, hand, biting }, touch-repeat / touch-end { zone, finger, hand, biting, durationMs }
+ *   bite-start { zone, finger, hand } - a touch in progress was confirmed as nail biting
+ *     (with `bitingConfirmation` on and blendshapes in the frame)
+ *   distance-warning { distanceCm }, distance-repeat { distanceCm, durationMs },
+ *   distance-corrected { closestCm, durationMs } - sitting closer than `screenDistance.minDistanceCm`
+ *     (with `screenDistance.enabled` and a calibration)
+ *   blink { durationMs } - timestamp is when the eyes closed (with `blink.enabled`)
+ *   blink-rate-low { blinksPerMinute }, blink-rate-repeat { blinksPerMinute, durationMs },
+ *   blink-rate-recovered { blinksPerMinute, durationMs } - fewer than `blink.minBlinksPerMinute`
+ *     blinks for `blink.lowRateMs`
+ *   user-left { sittingMs, overdueMs } - timestamp is the last frame with a face,
+ *   user-returned { awayMs, tookBreak }, break-due { sittingMs }, break-repeat { sittingMs, overdueMs },
+ *   eye-break-due { sittingMs } - presence and break reminders (with `breaks.enabled`)
+ *   posture-issue { issue, metrics }, posture-repeat { issue, durationMs },
+ *   posture-corrected { issue, metrics, durationMs } - metrics are those measured when the issue started
+ *
+ * @param {Object} settings - same shape as the app settings; read on every frame
+ */
+export function createDetectionEngine(settings) {
+    const listeners = {};
+    const touchTracker = createTouchTracker(settings);
+    const approachTracker = createApproachTracker(settings);
+    const distanceTracker = createScreenDistanceTracker(settings);
+    const blinkTracker = createBlinkTracker(settings);
+    const breakTracker = createBreakTracker(settings);
+
+    const engine = {
+        settings,
+
+        // Face / touch state
+        faceVisible: false,
+
+        get isTouching() {
+            return touchTracker.isTouching;
+        },
+
+        // { zone, finger, hand } of the touch in progress
+        get currentTouch() {
+            return touchTracker.isTouching ? touchTracker.touch : null;
+        },
+
+        // Sitting closer than the minimum screen distance for a while
+        get isTooClose() {
+            return distanceTracker.isTooClose;
+        },
+
+        // Blinks in the last minute while blink tracking is on, null until a minute was measured
+        get blinksPerMinute() {
+            return blinkTracker.blinksPerMinute;
+        },
+
+        get isLowBlinkRate() {
+            return blinkTracker.isLowRate;
+        },
+
+        // At the screen, i.e. the face was not gone long enough to count as leaving (with `breaks.enabled`)
+        get isPresent() {
+            return breakTracker.isPresent;
+        },
+
+        // Continuous sitting time since the last break
+        get sittingMs() {
+            return breakTracker.sittingMs;
+        },
+
+        // Posture state
+        isBadPosture: false,
+        postureIssue: null,
+        postureMetrics: null,
+        postureStartTime: null,
+        postureBadSince: null,      // first bad frame while waiting for `posture.sustainMs`
+        lastPostureAlertTime: null,
+
+        /**
+         * Posture time this session in milliseconds: good, bad, and bad per issue.
+         * Bad time only counts sustained bad posture (including its first `sustainMs`);
+         * shorter spells count as good.
+         */
+        get postureTime() {
+            return { good: postureTime.good, bad: postureTime.bad, byIssue: { ...postureTime.byIssue } };
+        },
+
+        on(type, listener) {
+            (listeners[type] ||= []).push(listener);
+            return engine;
+        },
+
+        off(type, listener) {
+            if (listeners[type]) {
+                listeners[type] = listeners[type].filter(l => l !== listener);
+            }
+            return engine;
+        },
+
+        /**
+         * Process one frame of landmarks.
+         * @param {Object} frame
+         * @param {number} frame.timestamp - milliseconds, monotonically increasing
+         * @param {number} frame.width - frame width in pixels
+         * @param {number} frame.height - frame height in pixels
+         * @param {Array|null} frame.face - face landmarks of the first face
+         * @param {Array[]} frame.hands - landmarks for each detected hand
+         * @param {string[]} [frame.handedness] - MediaPipe handedness label for each hand
+         * @param {Object<string, number>} [frame.blendshapes] - face blendshape scores by name
+         * @param {Array|null} [frame.pose] - pose landmarks; omit when no posture source is running
+         * @param {'lateral'|'front'} [frame.poseView] - which camera the pose comes from, lateral by default
+         */
+        processFrame(frame) {
+            const { timestamp } = frame;
+            const faceVisible = Boolean(frame.face);
+
+            if (faceVisible !== engine.faceVisible) {
+                engine.faceVisible = faceVisible;
+                emit(faceVisible ? 'face-found' : 'face-lost', { timestamp });
+            }
+
+            // Hysteresis: a touch in progress only ends beyond the larger release distance
+            const thresholdScale = engine.isTouching ? (engine.settings.touchReleaseScale ?? 1) : 1;
+            const hit = checkFaceTouch(frame.face, frame.hands || [], engine.settings, frame.width, frame.height,
+                thresholdScale, getSameCameraPose(frame));
+            const touch = hit && {
+                zone: hit.zone,
+                finger: hit.finger,
+                hand: getHandSide(frame.handedness?.[hit.handIndex] ?? null),
+                biting: hit.zone === 'mouth' && Boolean(engine.settings.bitingConfirmation) &&
+                    isBiting(frame.face, frame.hands[hit.handIndex], frame.blendshapes ?? null)
+            };
+            emitAll(touchTracker.update(touch, timestamp));
+
+            if (engine.settings.approachWarningEnabled) {
+                updateApproach(frame, timestamp);
+            }
+
+            // Screen distance needs a calibration to turn face size into centimeters
+            let screenDistance = null;
+            const distanceSettings = engine.settings.screenDistance;
+            if (distanceSettings?.enabled && distanceSettings.calibration) {
+                screenDistance = estimateScreenDistance(frame.face, frame.width, frame.height, distanceSettings.calibration);
+                emitAll(distanceTracker.update(screenDistance, timestamp));
+            } else {
+                emitAll(distanceTracker.end(timestamp));
+            }
+
+            if (engine.settings.breaks?.enabled) {
+                emitAll(breakTracker.update(faceVisible, timestamp));
+            } else {
+                breakTracker.reset();
+            }
+
+            if (engine.settings.blink?.enabled) {
+                emitAll(blinkTracker.update(getEyeAspectRatio(frame.face, frame.width, frame.height), timestamp));
+            } else {
+                emitAll(blinkTracker.end(timestamp));
+            }
+
+            let posture = null;
+            if (frame.pose !== undefined && engine.settings.posture.enabled) {
+                posture = checkPosture(frame.pose, engine.settings, frame.poseView ?? 'lateral');
+                updatePostureState(posture, timestamp);
+                updatePostureTime(posture, timestamp);
+            }
+
+            return {
+                faceVisible,
+                touch,
+                isTouching: engine.isTouching,
+                screenDistance,
+                isTooClose: engine.isTooClose,
+                blinksPerMinute: engine.blinksPerMinute,
+                postureIssues: posture ? posture.issues : null,
+                postureMetrics: posture ? posture.metrics : null,
+                isBadPosture: engine.isBadPosture
+            };
+        },
+
+        // Close any touch, too-close spell, low blink rate or bad posture still in progress, emitting their end events
+        endSession(timestamp) {
+            emitAll(touchTracker.end(timestamp));
+            emitAll(distanceTracker.end(timestamp));
+            emitAll(blinkTracker.end(timestamp));
+            if (engine.isBadPosture || engine.postureBadSince !== null) {
+                updatePostureState({ issues: [], metrics: null }, timestamp);
+            }
+        },
+
+        // Forget posture state without emitting events (posture source switched off).
+        // The session's posture time is kept
+        resetPosture() {
+            engine.isBadPosture = false;
+            engine.postureIssue = null;
+            engine.postureMetrics = null;
+            engine.postureStartTime = null;
+            engine.postureBadSince = null;
+            engine.lastPostureAlertTime = null;
+            pendingPostureTime = { bad: 0, byIssue: {} };
+            lastPostureTimestamp = null;
+        },
+
+        // Forget all state without emitting events (new session)
+        reset() {
+            engine.faceVisible = false;
+            touchTracker.reset();
+            approachTracker.reset();
+            distanceTracker.reset();
+            blinkTracker.reset();
+            breakTracker.reset();
+            engine.resetPosture();
+            engine.resetPostureTime();
+        },
+
+        // Count the session's posture time from zero again (statistics reset)
+        resetPostureTime() {
+            postureTime = { good: 0, bad: 0, byIssue: {} };
+        }
+    };
+
+    // Posture time of the session, and of a bad spell not yet long enough to count
+    let postureTime = { good: 0, bad: 0, byIssue: {} };
+    let pendingPostureTime = { bad: 0, byIssue: {} };
+    let lastPostureTimestamp = null;
+
+    function emit(type, payload) {
+        for (const listener of listeners[type] || []) {
+            listener({ type, ...payload });
+        }
+    }
+
+    function updateApproach(frame, timestamp) {
+        const handedness = frame.handedness || [];
+        const measurements = measureHandDistances(frame.face, frame.hands || [], engine.settings, frame.width, frame.height,
+            getSameCameraPose(frame))
+            .map(m => ({
+                ...m,
+                key: handedness[m.handIndex] ?? m.handIndex,
+                hand: getHandSide(handedness[m.handIndex] ?? null)
+            }));
+
+        const events = approachTracker.update(measurements, timestamp);
+
+        // A warning is pointless once the touch has happened
+        if (!engine.isTouching) {
+            emitAll(events);
+        }
+    }
+
+    // A lateral camera's pose cannot be lined up with the face, only a front one can
+    function getSameCameraPose(frame) {
+        return frame.poseView === 'front' ? frame.pose : null;
+    }
+
+    function emitAll(events) {
+        for (const { type, ...payload } of events) {
+            emit(type, payload);
+        }
+    }
+
+    function updatePostureState({ issues, metrics }, timestamp) {
+        const isBad = issues.length > 0;
+        const issue = isBad ? issues.join(', ') : null;
+
+        if (isBad) {
+            engine.postureIssue = issue;
+        }
+
+        if (isBad && !engine.isBadPosture) {
+            // Bad posture has to last `sustainMs` before it counts, so reaching for something doesn't
+            if (engine.postureBadSince === null) {
+                engine.postureBadSince = timestamp;
+                engine.postureMetrics = metrics;
+            }
+
+            if (timestamp - engine.postureBadSince >= (engine.settings.posture.sustainMs ?? 0)) {
+                engine.isBadPosture = true;
+                engine.postureStartTime = engine.postureBadSince;
+                engine.postureBadSince = null;
+                engine.lastPostureAlertTime = timestamp;
+                addPostureTime(postureTime, pendingPostureTime);
+                pendingPostureTime = { bad: 0, byIssue: {} };
+                emit('posture-issue', { timestamp: engine.postureStartTime, issue, metrics: engine.postureMetrics });
+            }
+        } else if (isBad && engine.isBadPosture) {
+            if (timestamp - engine.lastPostureAlertTime >= engine.settings.posture.alertCooldownMs) {
+                engine.lastPostureAlertTime = timestamp;
+                emit('posture-repeat', {
+                    timestamp,
+                    issue,
+                    durationMs: timestamp - engine.postureStartTime
+                });
+            }
+        } else if (!isBad && engine.isBadPosture) {
+            // Posture corrected
+            engine.isBadPosture = false;
+            emit('posture-corrected', {
+                timestamp,
+                issue: engine.postureIssue,
+                metrics: engine.postureMetrics,
+                durationMs: timestamp - engine.postureStartTime
+            });
+            engine.postureIssue = null;
+            engine.postureMetrics = null;
+            engine.postureStartTime = null;
+        } else if (!isBad && engine.postureBadSince !== null) {
+            // Too short to count - the spell was good posture after all
+            postureTime.good += pendingPostureTime.bad;
+            pendingPostureTime = { bad: 0, byIssue: {} };
+            engine.postureIssue = null;
+            engine.postureMetrics = null;
+            engine.postureBadSince = null;
+        }
+    }
+
+    // Add the time since the previous posture frame as good or bad (per issue) time
+    function updatePostureTime({ issues, metrics }, timestamp) {
+        const previous = lastPostureTimestamp;
+        lastPostureTimestamp = timestamp;
+
+        // Time without a visible pose is neither good nor bad
+        const visible = Object.values(metrics).some(value => value !== null);
+        if (previous === null || !visible) return;
+
+        const elapsed = Math.min(timestamp - previous, POSTURE_MAX_FRAME_GAP_MS);
+        if (issues.length === 0) {
+            postureTime.good += elapsed;
+            return;
+        }
+
+        const byIssue = {};
+        for (const issue of issues) {
+            byIssue[issue] = elapsed;
+        }
+        addPostureTime(engine.isBadPosture ? postureTime : pendingPostureTime, { bad: elapsed, byIssue });
+    }
+
+    function addPostureTime(target, time) {
+        target.bad += time.bad;
+        for (const [issue, ms] of Object.entries(time.byIssue)) {
+            target.byIssue[issue] = (target.byIssue[issue] || 0) + ms;
+        }
+    }
+
+    return engine;
+}
@@ -0,0 +1,115 @@
+/**
+ * History Export - CSV and JSON files of stored touch, posture and break events
+ * The JSON file can be imported again to move history between machines.
+ */
+
+export const HISTORY_FORMAT = 'facetouchmonitor-history';
+export const HISTORY_VERSION = 1;
+
+const CSV_COLUMNS = [
+    ['type', e => e.type],
+    ['start', e => new Date(e.timestamp).toISOString()],
+    ['duration_s', e => (e.durationMs / 1000).toFixed(1)],
+    ['zone', e => e.zone],
+    ['hand', e => e.hand],
+    ['finger', e => e.finger],
+    ['biting', e => formatFlag(e.biting)],
+    ['issue', e => e.issue],
+    ['head_forward_deg', e => formatMetric(e.metrics?.headForward)],
+    ['shoulder_tilt_deg', e => formatMetric(e.metrics?.shoulderTilt)],
+    ['spine_deg', e => formatMetric(e.metrics?.spine)],
+    ['hunch', e => formatMetric(e.metrics?.hunch, 3)],
+    ['head_tilt_deg', e => formatMetric(e.metrics?.headTilt)],
+    ['head_drop_pct', e => formatMetric(e.metrics?.headDrop)],
+    ['lean_pct', e => formatMetric(e.metrics?.lean)],
+    ['after_reminder', e => formatFlag(e.afterReminder)]
+];
+
+// Event types kept on import
+const EVENT_TYPES = ['touch', 'posture', 'break-due', 'break'];
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * One CSV row per event, for spreadsheets.
+ * @param {Object[]} events - history events
+ * @returns {string}
+ */
+export function eventsToCSV(events) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    for (const event of events) {
+        lines.push(CSV_COLUMNS.map(([, value]) => csvField(value(event))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize sessions and events to the importable JSON format.
+ * @param {Object} data
+ * @param {Object[]} data.sessions
+ * @param {Object[]} data.events
+ * @param {number} [data.from] - start of the exported range, epoch milliseconds
+ * @param {number} [data.to] - end of the exported range, epoch milliseconds
+ * @returns {string}
+ */
+export function serializeHistory({ sessions, events, from = null, to = null }) {
+    // Only include sessions that own an exported event
+    const sessionIds = new Set(events.map(e => e.sessionId));
+
+    return JSON.stringify({
+        format: HISTORY_FORMAT,
+        version: HISTORY_VERSION,
+        exportedAt: new Date().toISOString(),
+        from: from === null ? null : new Date(from).toISOString(),
+        to: to === null ? null : new Date(to).toISOString(),
+        sessions: sessions.filter(s => sessionIds.has(s.id)),
+        events
+    }, null, 2);
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Parse a JSON history export.
+ * @param {string} text - file contents
+ * @returns {{sessions: Object[], events: Object[]}}
+ * @throws {Error} when the file is not a history export
+ */
+export function parseHistory(text) {
+    const data = JSON.parse(text);
+
+    if (data.format !== HISTORY_FORMAT || !Array.isArray(data.events)) {
+        throw new Error('Not a history export');
+    }
+    if (data.version > HISTORY_VERSION) {
+        throw new Error(`Unsupported history version ${data.version}`);
+    }
+
+    const events = data.events.filter(e => EVENT_TYPES.includes(e.type) && Number.isFinite(e.timestamp));
+
+    return { sessions: data.sessions || [], events };
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+// yes / no, empty when not recorded
+function formatFlag(value) {
+    return typeof value === 'boolean' ? (value ? 'yes' : 'no') : null;
+}
+
+function formatMetric(value, digits = 1) {
+    return value === null || value === undefined ? '' : value.toFixed(digits);
+}
+
+// Quote fields that contain separators, quotes or line breaks
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
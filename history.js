@@ -0,0 +1,346 @@
+/**
+ * Session History - persistent touch and posture events in IndexedDB
+ * Events are grouped into monitoring sessions and survive page reloads.
+ */
+
+const DB_NAME = 'faceTouchMonitor';
+const DB_VERSION = 1;
+
+// ============================================================================
+// Database
+// ============================================================================
+
+/**
+ * Open (and create or upgrade) the history database.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openHistory() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            // { id, startTime, endTime, source }
+            db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+
+            // { id, sessionId, type, timestamp, durationMs, zone, hand, finger, biting, issue, metrics }
+            const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+            events.createIndex('timestamp', 'timestamp');
+            events.createIndex('sessionId', 'sessionId');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+/**
+ * Start a new session.
+ * @param {IDBDatabase} db
+ * @param {string} source - input source, e.g. 'camera'
+ * @returns {Promise<number>} the new session id
+ */
+export function startSession(db, source) {
+    return write(db, 'sessions', store => store.add({
+        startTime: Date.now(),
+        endTime: null,
+        source
+    }));
+}
+
+/**
+ * Mark a session as finished.
+ * @param {IDBDatabase} db
+ * @param {number} sessionId
+ */
+export function endSession(db, sessionId) {
+    return write(db, 'sessions', store => {
+        const request = store.get(sessionId);
+        request.onsuccess = () => {
+            if (request.result) {
+                store.put({ ...request.result, endTime: Date.now() });
+            }
+        };
+    });
+}
+
+/**
+ * Read all sessions, oldest first.
+ * @param {IDBDatabase} db
+ * @returns {Promise<Object[]>}
+ */
+export function getSessions(db) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction('sessions').objectStore('sessions').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============================================================================
+// Events
+// ============================================================================
+
+/**
+ * Store a finished touch, posture or break event.
+ * `break-due` is a sitting stretch that reached the break reminder, `break` the time away on a break.
+ * @param {IDBDatabase} db
+ * @param {Object} event
+ * @param {number} event.sessionId
+ * @param {'touch'|'posture'|'break-due'|'break'} event.type
+ * @param {number} event.timestamp - start of the event, epoch milliseconds
+ * @param {number} event.durationMs
+ * @param {string} [event.zone] - touched zone (touch events)
+ * @param {string} [event.hand] - 'left' or 'right' (touch events)
+ * @param {string} [event.finger] - touching finger (touch events)
+ * @param {boolean} [event.biting] - confirmed nail biting (touch events, null when not checked)
+ * @param {string} [event.issue] - posture issue (posture events)
+ * @param {Object} [event.metrics] - measured posture angles (posture events)
+ * @param {boolean} [event.afterReminder] - the break was taken once one was due (break events)
+ */
+export function addEvent(db, event) {
+    return write(db, 'events', store => store.add(withDefaults(event)));
+}
+
+/**
+ * Read events in a time range, oldest first.
+ * @param {IDBDatabase} db
+ * @param {number} [from] - epoch milliseconds, inclusive
+ * @param {number} [to] - epoch milliseconds, inclusive
+ * @returns {Promise<Object[]>}
+ */
+export function getEvents(db, from = 0, to = Infinity) {
+    return new Promise((resolve, reject) => {
+        const range = to === Infinity ? IDBKeyRange.lowerBound(from) : IDBKeyRange.bound(from, to);
+        const request = db.transaction('events').objectStore('events').index('timestamp').getAll(range);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Totals key counting each stored event type
+const TOTALS_BY_TYPE = { touch: 'touches', posture: 'posture', 'break-due': 'breaksDue', break: 'breaks' };
+
+/**
+ * Zeroed counts for one period of getTotals.
+ * @returns {{touches: number, bites: number, posture: number, breaksDue: number, breaks: number, breaksAfterReminder: number}}
+ */
+export function createTotals() {
+    return { touches: 0, bites: 0, posture: 0, breaksDue: 0, breaks: 0, breaksAfterReminder: 0 };
+}
+
+/**
+ * Count touch, nail biting, posture and break events for the whole history and for one day.
+ * Biting touches count as touches as well, and breaks taken after a reminder as breaks.
+ * @param {IDBDatabase} db
+ * @param {Date} [day] - any time on the day to count, defaults to today
+ * @returns {Promise<{lifetime: Object, day: Object}>} counts as in createTotals
+ */
+export async function getTotals(db, day = new Date()) {
+    const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+    const dayEnd = dayStart + 24 * 60 * 60 * 1000 - 1;
+
+    const totals = {
+        lifetime: createTotals(),
+        day: createTotals()
+    };
+
+    for (const event of await getEvents(db)) {
+        if (!TOTALS_BY_TYPE[event.type]) continue;
+        const keys = [TOTALS_BY_TYPE[event.type]];
+        if (event.biting) keys.push('bites');
+        if (event.afterReminder) keys.push('breaksAfterReminder');
+
+        const isDay = event.timestamp >= dayStart && event.timestamp <= dayEnd;
+        for (const key of keys) {
+            totals.lifetime[key]++;
+            if (isDay) totals.day[key]++;
+        }
+    }
+
+    return totals;
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Merge sessions and events exported from another browser.
+ * Events already in the history (same type and start time) are skipped, so
+ * importing the same file twice is harmless. Imported sessions get new ids.
+ * @param {IDBDatabase} db
+ * @param {{sessions: Object[], events: Object[]}} data
+ * @returns {Promise<number>} number of events added
+ */
+export async function importHistory(db, { sessions, events }) {
+    const existing = new Set((await getEvents(db)).map(eventKey));
+    const incoming = events.filter(event => !existing.has(eventKey(event)));
+    if (incoming.length === 0) return 0;
+
+    // Events by their session in the file; events of sessions missing from it are stored without one
+    const eventsBySession = new Map();
+    for (const event of incoming) {
+        if (!eventsBySession.has(event.sessionId)) {
+            eventsBySession.set(event.sessionId, []);
+        }
+        eventsBySession.get(event.sessionId).push(event);
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['sessions', 'events'], 'readwrite');
+        const sessionStore = transaction.objectStore('sessions');
+        const eventStore = transaction.objectStore('events');
+
+        const addEvents = (sessionEvents, sessionId) => {
+            for (const event of sessionEvents) {
+                eventStore.add(withDefaults({ ...withoutId(event), sessionId }));
+            }
+        };
+
+        // Each session's events are added once the session has its new id
+        for (const session of sessions) {
+            const sessionEvents = eventsBySession.get(session.id);
+            if (!sessionEvents) continue;
+            eventsBySession.delete(session.id);
+            sessionStore.add(withoutId(session)).onsuccess = (e) => addEvents(sessionEvents, e.target.result);
+        }
+        for (const sessionEvents of eventsBySession.values()) {
+            addEvents(sessionEvents, null);
+        }
+
+        transaction.oncomplete = () => resolve(incoming.length);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// ============================================================================
+// Aggregation
+// ============================================================================
+
+/**
+ * Start of the local hour or day containing a time.
+ * @param {number} time - epoch milliseconds
+ * @param {'hour'|'day'} period
+ */
+export function startOfPeriod(time, period) {
+    const date = new Date(time);
+    if (period === 'hour') {
+        date.setMinutes(0, 0, 0);
+    } else {
+        date.setHours(0, 0, 0, 0);
+    }
+    return date.getTime();
+}
+
+/**
+ * Count events per local hour or day. Days are calendar days, so DST changes are respected.
+ * @param {Object[]} events - sorted by timestamp
+ * @param {'hour'|'day'} period
+ * @param {number} from - start of the first bucket (see startOfPeriod)
+ * @param {number} to - epoch milliseconds
+ * @returns {{start: number, count: number}[]}
+ */
+export function countByPeriod(events, period, from, to) {
+    const buckets = [];
+    for (let start = from; start <= to; start = nextPeriod(start, period)) {
+        buckets.push({ start, count: 0 });
+    }
+
+    let index = 0;
+    for (const event of events) {
+        while (index < buckets.length - 1 && event.timestamp >= buckets[index + 1].start) {
+            index++;
+        }
+        if (event.timestamp >= from && event.timestamp <= to) {
+            buckets[index].count++;
+        }
+    }
+
+    return buckets;
+}
+
+/**
+ * Count events per weekday and hour of day.
+ * @param {Object[]} events
+ * @returns {number[][]} grid[weekday][hour], weekday 0 = Monday
+ */
+export function countByWeekdayHour(events) {
+    const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    for (const event of events) {
+        const date = new Date(event.timestamp);
+        grid[(date.getDay() + 6) % 7][date.getHours()]++;
+    }
+    return grid;
+}
+
+/**
+ * Count events per value of a field, e.g. countBy(events, 'zone').
+ * @param {Object[]} events
+ * @param {string} field
+ * @returns {Object<string, number>}
+ */
+export function countBy(events, field) {
+    const counts = {};
+    for (const event of events) {
+        const key = event[field];
+        if (key) {
+            counts[key] = (counts[key] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+function nextPeriod(time, period) {
+    const date = new Date(time);
+    if (period === 'hour') {
+        date.setHours(date.getHours() + 1);
+    } else {
+        date.setDate(date.getDate() + 1);
+    }
+    return date.getTime();
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function withDefaults(event) {
+    return {
+        zone: null,
+        hand: null,
+        finger: null,
+        biting: null,
+        issue: null,
+        metrics: null,
+        afterReminder: null,
+        ...event
+    };
+}
+
+// Imported records get a fresh id from this database
+function withoutId(record) {
+    const copy = { ...record };
+    delete copy.id;
+    return copy;
+}
+
+// Events are identified across browsers by type and start time
+function eventKey(event) {
+    return `${event.type}:${event.timestamp}`;
+}
+
+// Run a readwrite operation and resolve with its request result once committed
+function write(db, storeName, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,173 @@
+/**
+ * Landmark Recorder - capture and replay per-frame MediaPipe results
+ * Recordings are plain JSON or NDJSON so they can be attached to bug reports
+ * and fed back through the detection loop without a camera.
+ */
+
+export const RECORDING_FORMAT = 'facetouchmonitor-landmarks';
+export const RECORDING_VERSION = 1;
+
+// Landmark coordinates are normalized, 4 decimals is well below a pixel at 1080p
+const PRECISION = 10000;
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Start a new recording.
+ * @param {Object} options
+ * @param {number} options.width - frame width in pixels
+ * @param {number} options.height - frame height in pixels
+ * @param {boolean} [options.mirrored] - whether the overlay was drawn mirrored (selfie camera)
+ * @param {Object} [options.settings] - settings snapshot, to reproduce the session later
+ */
+export function createRecording({ width, height, mirrored = true, settings = null }) {
+    return {
+        header: {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            width,
+            height,
+            mirrored,
+            startedAt: new Date().toISOString(),
+            settings
+        },
+        startTime: null,
+        frames: []
+    };
+}
+
+/**
+ * Append one landmark frame to a recording.
+ * Timestamps are stored relative to the first recorded frame.
+ * @param {Object} recording - from createRecording
+ * @param {Object} frame - { timestamp, face, hands, handedness, blendshapes, pose, poseView }
+ */
+export function recordFrame(recording, frame) {
+    if (recording.startTime === null) {
+        recording.startTime = frame.timestamp;
+    }
+
+    const encoded = {
+        t: round(frame.timestamp - recording.startTime),
+        face: frame.face ? encodeLandmarks(frame.face) : null,
+        hands: (frame.hands || []).map(hand => encodeLandmarks(hand)),
+        handedness: frame.handedness || []
+    };
+
+    // Only present while nail biting confirmation is on
+    if (frame.blendshapes) {
+        encoded.blendshapes = Object.fromEntries(
+            Object.entries(frame.blendshapes).map(([name, score]) => [name, round(score)])
+        );
+    }
+
+    // Only present while a posture source is running
+    if (frame.pose !== undefined) {
+        encoded.pose = frame.pose ? encodeLandmarks(frame.pose, true) : null;
+    }
+    if (frame.poseView) {
+        encoded.poseView = frame.poseView;
+    }
+
+    recording.frames.push(encoded);
+}
+
+/**
+ * Serialize a recording.
+ * @param {Object} recording - from createRecording or parseRecording
+ * @param {'ndjson'|'json'} format - NDJSON puts the header on the first line and one frame per line
+ * @returns {string}
+ */
+export function serializeRecording(recording, format = 'ndjson') {
+    if (format === 'json') {
+        return JSON.stringify({ ...recording.header, frames: recording.frames });
+    }
+    const lines = [JSON.stringify(recording.header)];
+    for (const frame of recording.frames) {
+        lines.push(JSON.stringify(frame));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// Replay
+// ============================================================================
+
+/**
+ * Parse a JSON or NDJSON recording.
+ * @param {string} text - file contents
+ * @returns {{header: Object, frames: Object[]}}
+ * @throws {Error} when the file is not a landmark recording
+ */
+export function parseRecording(text) {
+    let header;
+    let frames;
+
+    try {
+        // JSON: a single object holding the header fields and a frames array
+        ({ frames = [], ...header } = JSON.parse(text));
+    } catch {
+        // NDJSON: header line followed by one frame per line
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        header = JSON.parse(lines[0]);
+        frames = lines.slice(1).map(line => JSON.parse(line));
+    }
+
+    if (header.format !== RECORDING_FORMAT || !Array.isArray(frames)) {
+        throw new Error('Not a landmark recording');
+    }
+    if (header.version > RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${header.version}`);
+    }
+
+    return { header, frames };
+}
+
+/**
+ * Decode a recorded frame back into the live landmark frame shape.
+ * @param {Object} encoded - one entry of recording.frames
+ * @returns {Object} { timestamp, face, hands, handedness, blendshapes, pose, poseView }
+ */
+export function decodeFrame(encoded) {
+    const frame = {
+        timestamp: encoded.t,
+        face: encoded.face ? decodeLandmarks(encoded.face) : null,
+        hands: (encoded.hands || []).map(decodeLandmarks),
+        handedness: encoded.handedness || []
+    };
+    if (encoded.blendshapes) {
+        frame.blendshapes = encoded.blendshapes;
+    }
+    if (encoded.pose !== undefined) {
+        frame.pose = encoded.pose ? decodeLandmarks(encoded.pose) : null;
+    }
+    if (encoded.poseView) {
+        frame.poseView = encoded.poseView;
+    }
+    return frame;
+}
+
+// ============================================================================
+// Encoding Helpers
+// ============================================================================
+
+// Landmarks are stored as [x, y, z] or, for pose, [x, y, z, visibility] to keep files small
+function encodeLandmarks(landmarks, withVisibility = false) {
+    return landmarks.map(lm => (
+        withVisibility
+            ? [round(lm.x), round(lm.y), round(lm.z), round(lm.visibility)]
+            : [round(lm.x), round(lm.y), round(lm.z)]
+    ));
+}
+
+function decodeLandmarks(encoded) {
+    return encoded.map(([x, y, z, visibility]) => (
+        visibility === undefined ? { x, y, z } : { x, y, z, visibility }
+    ));
+}
+
+function round(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
@@ -0,0 +1,173 @@
+/**
+ * Alert Sounds - synthesized tone patterns, uploaded audio files and spoken messages
+ * Uploaded files are kept in their own IndexedDB database, separate from the history,
+ * and never leave the browser.
+ */
+
+const DB_NAME = 'faceTouchMonitorSounds';
+const DB_VERSION = 1;
+
+// Uploaded sounds are short alert clips, not music
+export const MAX_SOUND_BYTES = 1024 * 1024;
+
+// Built-in patterns: notes of [frequency Hz, duration ms], frequency 0 is a rest
+export const TONE_PATTERNS = {
+    beep: { label: 'Beep', notes: [[440, 150]] },
+    low: { label: 'Low tone', notes: [[330, 200]] },
+    double: { label: 'Double beep', notes: [[440, 100], [0, 70], [440, 100]] },
+    chime: { label: 'Chime', notes: [[660, 120], [880, 240]] },
+    falling: { label: 'Falling', notes: [[660, 110], [495, 110], [330, 220]] },
+    alarm: { label: 'Alarm', notes: [[880, 90], [0, 50], [880, 90], [0, 50], [880, 90]] }
+};
+
+// ============================================================================
+// Playback
+// ============================================================================
+
+/**
+ * Play a tone pattern, scheduled on the audio clock.
+ * @param {AudioContext} ctx
+ * @param {number[][]} notes - [frequency Hz, duration ms] pairs
+ * @param {number} [volume]
+ * @param {number} [pitch] - frequency multiplier, e.g. 1.5 a fifth higher
+ */
+export function playTonePattern(ctx, notes, volume = 0.3, pitch = 1) {
+    let start = ctx.currentTime;
+
+    for (const [frequency, duration] of notes) {
+        const end = start + duration / 1000;
+        if (frequency > 0) {
+            const oscillator = ctx.createOscillator();
+            const gainNode = ctx.createGain();
+            oscillator.connect(gainNode);
+            gainNode.connect(ctx.destination);
+
+            oscillator.frequency.value = frequency * pitch;
+            oscillator.type = 'sine';
+            gainNode.gain.setValueAtTime(volume, start);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, end);
+
+            oscillator.start(start);
+            oscillator.stop(end);
+        }
+        start = end;
+    }
+}
+
+// Decoded uploads by id, so repeat alerts do not decode the file again
+const decoded = new Map();
+
+/**
+ * Play an uploaded sound.
+ * @param {AudioContext} ctx
+ * @param {{id: number, data: Blob}} sound - stored sound (see addSound)
+ * @param {number} [volume] - gain, 1 plays the file as recorded
+ * @param {number} [pitch] - playback rate, higher also plays faster
+ */
+export async function playAudioFile(ctx, sound, volume = 1, pitch = 1) {
+    if (!decoded.has(sound.id)) {
+        decoded.set(sound.id, await ctx.decodeAudioData(await sound.data.arrayBuffer()));
+    }
+
+    const source = ctx.createBufferSource();
+    const gainNode = ctx.createGain();
+    source.buffer = decoded.get(sound.id);
+    source.playbackRate.value = pitch;
+    gainNode.gain.value = volume;
+    source.connect(gainNode);
+    gainNode.connect(ctx.destination);
+    source.start();
+}
+
+/**
+ * Speak a message, cutting off one still being spoken so repeats do not pile up.
+ * @param {string} text
+ * @param {number} [volume] - 0 to 1
+ * @param {number} [pitch] - 0 to 2, 1 is the voice's normal pitch
+ */
+export function speak(text, volume = 1, pitch = 1) {
+    if (!('speechSynthesis' in window)) {
+        throw new Error('Speech synthesis not supported');
+    }
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.volume = volume;
+    utterance.pitch = pitch;
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+}
+
+/**
+ * Fill `{zone}` and `{issue}` in a spoken message.
+ * @param {string} template - e.g. 'Hands away from your {zone}'
+ * @param {Object} values - { zone, issue }, missing ones become empty
+ * @returns {string}
+ */
+export function fillMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+/**
+ * Open (and create) the uploaded sounds database.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openSounds() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            // { id, name, data: Blob }
+            request.result.createObjectStore('sounds', { keyPath: 'id', autoIncrement: true });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Store an uploaded audio file.
+ * @param {IDBDatabase} db
+ * @param {File} file
+ * @returns {Promise<number>} the new sound id
+ */
+export function addSound(db, file) {
+    return write(db, store => store.add({ name: file.name, data: file }));
+}
+
+/**
+ * Read all uploaded sounds, oldest first.
+ * @param {IDBDatabase} db
+ * @returns {Promise<Object[]>}
+ */
+export function getSounds(db) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction('sounds').objectStore('sounds').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Delete an uploaded sound.
+ * @param {IDBDatabase} db
+ * @param {number} id
+ */
+export function deleteSound(db, id) {
+    decoded.delete(id);
+    return write(db, store => store.delete(id));
+}
+
+// Run a readwrite operation and resolve with its request result once committed
+function write(db, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction('sounds', 'readwrite');
+        const request = operation(transaction.objectStore('sounds'));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
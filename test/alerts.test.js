@@ -0,0 +1,70 @@
+/**
+ * Alert escalation checks - levels by duration and by starts, the window and the quiet reset
+ * Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlertEscalation, BASE_INTENSITY } from '../alerts.js';
+
+const levels = [
+    { afterMs: 5000, afterCount: 3, volume: 1.5, pitch: 1.25, flash: 'strong', channels: [] },
+    { afterMs: 15000, afterCount: 5, volume: 2, pitch: 1.5, flash: 'strong', channels: ['notification'] }
+];
+const settings = {
+    escalation: {
+        touch: { enabled: true, windowMs: 60000, quietMs: 30000, levels },
+        posture: { enabled: false, windowMs: 60000, quietMs: 30000, levels }
+    }
+};
+
+// Feed [time, phase, durationMs] touch alerts and collect their levels
+function escalate(escalation, alerts) {
+    return alerts.map(([time, phase, durationMs = 0]) =>
+        escalation.update({ kind: 'touch', phase, time, event: { durationMs } }).level);
+}
+
+test('kinds without an enabled policy stay at the base intensity', () => {
+    const escalation = createAlertEscalation(settings);
+    for (const kind of ['posture', 'distance']) {
+        for (let time = 0; time < 10000; time += 1000) {
+            assert.deepEqual(escalation.update({ kind, phase: 'start', time, event: { durationMs: 60000 } }),
+                { level: 0, intensity: BASE_INTENSITY });
+        }
+    }
+});
+
+test('an alert climbs a level once it has lasted afterMs', () => {
+    const escalation = createAlertEscalation(settings);
+    assert.deepEqual(escalate(escalation, [[0, 'start'], [4000, 'repeat', 4000], [5000, 'repeat', 5000], [15000, 'repeat', 15000]]),
+        [0, 0, 1, 2]);
+
+    assert.deepEqual(escalation.update({ kind: 'touch', phase: 'repeat', time: 16000, event: { durationMs: 16000 } }), {
+        level: 2,
+        intensity: { volume: 2, pitch: 1.5, flash: 'strong', channels: ['notification'], afterMs: 15000, afterCount: 5 }
+    });
+});
+
+test('an alert climbs a level once it is the afterCount-th start', () => {
+    const escalation = createAlertEscalation(settings);
+    assert.deepEqual(escalate(escalation, [[0, 'start'], [10000, 'start'], [20000, 'start'], [30000, 'start'], [40000, 'start']]),
+        [0, 0, 1, 1, 2]);
+});
+
+test('starts older than windowMs no longer count', () => {
+    const escalation = createAlertEscalation(settings);
+    // The repeats keep the quiet time from resetting the count
+    assert.deepEqual(escalate(escalation, [[0, 'start'], [10000, 'start'], [35000, 'repeat'], [60000, 'repeat'], [61000, 'start']]),
+        [0, 0, 0, 0, 0]);
+    assert.deepEqual(escalate(escalation, [[62000, 'start']]), [1]);
+});
+
+test('quietMs without an alert, or reset(), starts the count over', () => {
+    const escalation = createAlertEscalation(settings);
+    // 30 seconds pass without an alert before the start at 40000, so it is the first again
+    assert.deepEqual(escalate(escalation, [[0, 'start'], [10000, 'start'], [40000, 'start'], [45000, 'start'], [50000, 'start']]),
+        [0, 0, 0, 0, 1]);
+
+    escalation.reset();
+    assert.deepEqual(escalate(escalation, [[51000, 'start']]), [0]);
+});
@@ -0,0 +1,156 @@
+/**
+ * Detection engine checks - recorded landmark fixtures replayed through processFrame,
+ * and the trackers driven directly
+ * Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createDetectionEngine, createTouchTracker, createBreakTracker } from '../engine.js';
+import { parseRecording, decodeFrame } from '../recorder.js';
+
+// Feed a fixture through a fresh engine, using the settings saved in its header
+function replay(fixture) {
+    const { header, frames } = parseRecording(readFileSync(new URL(`./fixtures/${fixture}`, import.meta.url), 'utf8'));
+    const engine = createDetectionEngine(header.settings);
+    const events = [];
+    for (const type of ['face-found', 'face-lost', 'touch-start', 'touch-repeat', 'touch-end', 'bite-start']) {
+        engine.on(type, event => events.push(event));
+    }
+    for (const encoded of frames) {
+        engine.processFrame({ ...decodeFrame(encoded), width: header.width, height: header.height });
+    }
+    return events;
+}
+
+test('a finger at the mouth emits one touch from first contact until the hand moves away', () => {
+    assert.deepEqual(replay('mouth-touch.json'), [
+        { type: 'face-found', timestamp: 0 },
+        { type: 'touch-start', timestamp: 100, zone: 'mouth', finger: 'index', hand: 'left', biting: false },
+        { type: 'touch-end', timestamp: 300, zone: 'mouth', finger: 'index', hand: 'left', biting: false, durationMs: 200 },
+        { type: 'face-lost', timestamp: 400 }
+    ]);
+});
+
+test('a jittery touch is debounced by dwell time and release hysteresis', () => {
+    // A one-frame blip, then a touch that drifts just outside the touch distance
+    // and briefly loses contact once before the hand leaves
+    assert.deepEqual(replay('jittery-touch.ndjson'), [
+        { type: 'face-found', timestamp: 0 },
+        { type: 'touch-start', timestamp: 150, zone: 'mouth', finger: 'index', hand: 'left', biting: false },
+        { type: 'touch-end', timestamp: 450, zone: 'mouth', finger: 'index', hand: 'left', biting: false, durationMs: 300 }
+    ]);
+});
+
+// ============================================================================
+// Touch tracker
+// ============================================================================
+
+const contact = { zone: 'mouth', finger: 'index', hand: 'left' };
+const trackerSettings = { touchDwellMs: 100, touchReleaseGapMs: 200, alertCooldownMs: 1000 };
+
+// Feed [timestamp, contact or null] updates and collect the emitted events
+function track(tracker, updates) {
+    return updates.flatMap(([timestamp, touch]) => tracker.update(touch, timestamp));
+}
+
+test('a contact shorter than the dwell time emits nothing', () => {
+    const tracker = createTouchTracker(trackerSettings);
+    assert.deepEqual(track(tracker, [[0, contact], [50, contact], [90, null], [400, null]]), []);
+    assert.equal(tracker.isTouching, false);
+});
+
+test('a touch starts at first contact once it lasted the dwell time', () => {
+    const tracker = createTouchTracker(trackerSettings);
+    assert.deepEqual(track(tracker, [[0, contact], [100, contact]]), [
+        { type: 'touch-start', timestamp: 0, ...contact, biting: false }
+    ]);
+    assert.equal(tracker.isTouching, true);
+});
+
+test('contact back within the release gap continues the same touch', () => {
+    const tracker = createTouchTracker(trackerSettings);
+    const events = track(tracker, [[0, contact], [100, contact], [150, null], [300, contact], [400, null], [700, null]]);
+    assert.deepEqual(events.map(e => e.type), ['touch-start', 'touch-end']);
+    assert.deepEqual(events[1], { type: 'touch-end', timestamp: 400, ...contact, biting: false, durationMs: 400 });
+});
+
+test('a held touch repeats every cooldown period', () => {
+    const tracker = createTouchTracker(trackerSettings);
+    const events = track(tracker, [[0, contact], [100, contact], [900, contact], [1100, contact], [1500, contact], [2100, contact]]);
+    assert.deepEqual(events.slice(1), [
+        { type: 'touch-repeat', timestamp: 1100, ...contact, biting: false, durationMs: 1100 },
+        { type: 'touch-repeat', timestamp: 2100, ...contact, biting: false, durationMs: 2100 }
+    ]);
+});
+
+test('a confirmed touch turning into biting emits bite-start and stays biting', () => {
+    const tracker = createTouchTracker(trackerSettings);
+    const events = track(tracker, [[0, contact], [100, contact], [200, { ...contact, biting: true }], [300, contact]]);
+    assert.deepEqual(events.slice(1), [{ type: 'bite-start', timestamp: 200, ...contact, biting: true }]);
+    assert.equal(tracker.touch.biting, true);
+});
+
+test('end() reports the duration up to the release time', () => {
+    const tracker = createTouchTracker(trackerSettings);
+    track(tracker, [[0, contact], [100, contact], [250, null]]);
+    assert.deepEqual(tracker.end(400), [{ type: 'touch-end', timestamp: 250, ...contact, biting: false, durationMs: 250 }]);
+    assert.equal(tracker.isTouching, false);
+    assert.deepEqual(tracker.end(500), []);
+});
+
+// ============================================================================
+// Break tracker
+// ============================================================================
+
+const breakSettings = {
+    breaks: { sittingLimitMs: 60000, reminderRepeatMs: 30000, breakMinMs: 120000, eyeBreaksEnabled: false, eyeBreakIntervalMs: 1200000 }
+};
+
+// Feed [timestamp, faceVisible] updates and collect the emitted events
+function sit(tracker, updates) {
+    return updates.flatMap(([timestamp, faceVisible]) => tracker.update(faceVisible, timestamp));
+}
+
+test('the user only leaves after 20 seconds without a face', () => {
+    const tracker = createBreakTracker(breakSettings);
+    // A 15 second tracking dropout goes unnoticed
+    assert.deepEqual(sit(tracker, [[0, true], [5000, false], [19000, false], [20000, true], [30000, true]]), []);
+    assert.equal(tracker.sittingMs, 30000);
+
+    assert.deepEqual(sit(tracker, [[45000, false], [50000, false]]), [
+        { type: 'user-left', timestamp: 30000, sittingMs: 30000, overdueMs: null }
+    ]);
+    assert.equal(tracker.isPresent, false);
+});
+
+test('returning after breakMinMs is a break that restarts the sitting time', () => {
+    const tracker = createBreakTracker(breakSettings);
+    assert.deepEqual(sit(tracker, [[0, true], [40000, true], [60000, false], [100000, true]]), [
+        { type: 'user-left', timestamp: 40000, sittingMs: 40000, overdueMs: null },
+        { type: 'user-returned', timestamp: 100000, awayMs: 60000, tookBreak: false },
+        // Too short for a break, so sitting time ran on from the start and a break is now due
+        { type: 'break-due', timestamp: 100000, sittingMs: 100000 }
+    ]);
+
+    assert.deepEqual(sit(tracker, [[120000, false], [240000, true]]), [
+        { type: 'user-left', timestamp: 100000, sittingMs: 100000, overdueMs: 0 },
+        { type: 'user-returned', timestamp: 240000, awayMs: 140000, tookBreak: true }
+    ]);
+    assert.equal(tracker.sittingMs, 0);
+});
+
+test('break reminders repeat every reminderRepeatMs until the user leaves', () => {
+    const tracker = createBreakTracker(breakSettings);
+    const events = sit(tracker, [[0, true], [59000, true], [60000, true], [80000, true], [90000, true], [119000, true], [120000, true]]);
+    assert.deepEqual(events, [
+        { type: 'break-due', timestamp: 60000, sittingMs: 60000 },
+        { type: 'break-repeat', timestamp: 90000, sittingMs: 90000, overdueMs: 30000 },
+        { type: 'break-repeat', timestamp: 120000, sittingMs: 120000, overdueMs: 60000 }
+    ]);
+
+    assert.deepEqual(sit(tracker, [[130000, false], [150000, false]]), [
+        { type: 'user-left', timestamp: 120000, sittingMs: 120000, overdueMs: 60000 }
+    ]);
+});
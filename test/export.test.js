@@ -0,0 +1,64 @@
+/**
+ * History export checks - CSV rows and the importable JSON format
+ * Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { eventsToCSV, serializeHistory, parseHistory } from '../export.js';
+
+const sessions = [
+    { id: 1, source: 'camera', startTime: Date.UTC(2026, 9, 1, 8), endTime: Date.UTC(2026, 9, 1, 9) },
+    { id: 2, source: 'camera', startTime: Date.UTC(2026, 9, 5, 8), endTime: Date.UTC(2026, 9, 5, 9) }
+];
+
+const events = [
+    { id: 1, sessionId: 1, type: 'touch', timestamp: Date.UTC(2026, 9, 1, 8, 30), durationMs: 1200, zone: 'mouth', hand: 'left', finger: 'index', biting: true, issue: null, metrics: null },
+    { id: 2, sessionId: 2, type: 'posture', timestamp: Date.UTC(2026, 9, 5, 8, 10), durationMs: 65000, zone: null, hand: null, finger: null, biting: null, issue: 'Head forward', metrics: { headForward: 21.46 } },
+    { id: 3, sessionId: 2, type: 'break', timestamp: Date.UTC(2026, 9, 5, 8, 40), durationMs: 300000, afterReminder: true }
+];
+
+test('a date-range export parses back to the events in range and their sessions', () => {
+    const from = Date.UTC(2026, 9, 3);
+    const to = Date.UTC(2026, 9, 6);
+    const inRange = events.filter(e => e.timestamp >= from && e.timestamp <= to);
+
+    const text = serializeHistory({ sessions, events: inRange, from, to });
+    const file = JSON.parse(text);
+    assert.equal(file.from, '2026-10-03T00:00:00.000Z');
+    assert.equal(file.to, '2026-10-06T00:00:00.000Z');
+
+    // Session 1 owns no exported event, so it is left out
+    assert.deepEqual(parseHistory(text), { sessions: [sessions[1]], events: inRange });
+});
+
+test('unknown event types and other files are not imported', () => {
+    const text = serializeHistory({ sessions, events: [...events, { sessionId: 1, type: 'unknown', timestamp: 1 }] });
+    assert.deepEqual(parseHistory(text).events, events);
+    assert.throws(() => parseHistory('{"format":"facetouchmonitor-landmarks","frames":[]}'), /Not a history export/);
+});
+
+test('CSV has one row per event with flags, metrics and empty cells', () => {
+    const [header, touch, posture, breakTaken, last] = eventsToCSV(events).split('\r\n');
+    assert.equal(header, 'type,start,duration_s,zone,hand,finger,biting,issue,head_forward_deg,shoulder_tilt_deg,' +
+        'spine_deg,hunch,head_tilt_deg,head_drop_pct,lean_pct,after_reminder');
+    assert.equal(touch, 'touch,2026-10-01T08:30:00.000Z,1.2,mouth,left,index,yes,,,,,,,,,');
+    assert.equal(posture, 'posture,2026-10-05T08:10:00.000Z,65.0,,,,,Head forward,21.5,,,,,,,');
+    assert.equal(breakTaken, 'break,2026-10-05T08:40:00.000Z,300.0,,,,,,,,,,,,,yes');
+    assert.equal(last, '');
+});
+
+test('CSV fields with commas, quotes or line breaks are quoted', () => {
+    const csv = eventsToCSV([
+        { type: 'touch', timestamp: 0, durationMs: 0, zone: 'Jaw, left side' },
+        { type: 'touch', timestamp: 0, durationMs: 0, zone: 'The "spot"' },
+        { type: 'touch', timestamp: 0, durationMs: 0, zone: 'two\nlines' }
+    ]);
+    // The zone is followed by the 12 empty columns after it
+    const rest = ','.repeat(12);
+    assert.deepEqual(csv.split('\r\n').slice(1, -1), [
+        `touch,1970-01-01T00:00:00.000Z,0.0,"Jaw, left side"${rest}`,
+        `touch,1970-01-01T00:00:00.000Z,0.0,"The ""spot"""${rest}`,
+        `touch,1970-01-01T00:00:00.000Z,0.0,"two\nlines"${rest}`
+    ]);
+});
@@ -0,0 +1,54 @@
+/**
+ * History aggregation checks - the counts behind the history charts
+ * Times are local, as the charts show them. Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOfPeriod, countByPeriod, countByWeekdayHour, countBy } from '../history.js';
+
+// Monday 5 October 2026, local time
+const at = (day, hour, minute = 0) => new Date(2026, 9, 5 + day, hour, minute).getTime();
+
+const events = [
+    { type: 'touch', timestamp: at(0, 9, 15), zone: 'mouth', finger: 'index' },
+    { type: 'touch', timestamp: at(0, 9, 45), zone: 'mouth', finger: 'thumb' },
+    { type: 'touch', timestamp: at(0, 11, 5), zone: 'nose', finger: 'index' },
+    { type: 'touch', timestamp: at(2, 22, 30), zone: null, finger: null }
+];
+
+test('periods start on the local hour or day', () => {
+    assert.equal(startOfPeriod(at(0, 9, 45), 'hour'), at(0, 9));
+    assert.equal(startOfPeriod(at(0, 9, 45), 'day'), at(0, 0));
+});
+
+test('events are counted per hour and per day, including empty periods', () => {
+    assert.deepEqual(countByPeriod(events, 'hour', at(0, 9), at(0, 11, 30)), [
+        { start: at(0, 9), count: 2 },
+        { start: at(0, 10), count: 0 },
+        { start: at(0, 11), count: 1 }
+    ]);
+    assert.deepEqual(countByPeriod(events, 'day', at(0, 0), at(2, 23)), [
+        { start: at(0, 0), count: 3 },
+        { start: at(1, 0), count: 0 },
+        { start: at(2, 0), count: 1 }
+    ]);
+});
+
+test('events outside the range are not counted', () => {
+    assert.deepEqual(countByPeriod(events, 'day', at(1, 0), at(1, 12)), [{ start: at(1, 0), count: 0 }]);
+});
+
+test('the heatmap grid is indexed by weekday from Monday and hour', () => {
+    const grid = countByWeekdayHour(events);
+    assert.equal(grid.length, 7);
+    assert.equal(grid[0][9], 2);
+    assert.equal(grid[0][11], 1);
+    assert.equal(grid[2][22], 1);
+    assert.equal(grid.flat().reduce((sum, count) => sum + count, 0), 4);
+});
+
+test('breakdowns count each value and skip missing ones', () => {
+    assert.deepEqual(countBy(events, 'zone'), { mouth: 2, nose: 1 });
+    assert.deepEqual(countBy(events, 'finger'), { index: 2, thumb: 1 });
+});
@@ -0,0 +1,35 @@
+/**
+ * Landmark recording checks - the NDJSON and JSON formats hold the same recording
+ * Run with `node --test test/`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseRecording, serializeRecording, decodeFrame } from '../recorder.js';
+
+const ndjson = readFileSync(new URL('./fixtures/jittery-touch.ndjson', import.meta.url), 'utf8');
+
+test('an NDJSON recording serializes back to the same file', () => {
+    assert.equal(serializeRecording(parseRecording(ndjson)), ndjson);
+});
+
+test('JSON and NDJSON serializations parse to the same recording', () => {
+    const recording = parseRecording(ndjson);
+    assert.deepEqual(parseRecording(serializeRecording(recording, 'json')), recording);
+});
+
+test('recorded frames decode to landmark frames on the recording clock', () => {
+    const { frames } = parseRecording(ndjson);
+    const frame = decodeFrame(frames[1]);
+    assert.equal(frame.timestamp, 50);
+    assert.equal(frame.face.length, 478);
+    assert.deepEqual(frame.face[33], { x: 0.4, y: 0.4, z: 0 });
+    assert.deepEqual(frame.hands[0][8], { x: 0.5, y: 0.6, z: 0 });
+    assert.deepEqual(frame.handedness, ['Right']);
+    assert.equal('pose' in frame, false);
+});
+
+test('files that are not landmark recordings are rejected', () => {
+    assert.throws(() => parseRecording('{"format":"something-else","frames":[]}'), /Not a landmark recording/);
+});
@@ -0,0 +1,120 @@
+/**
+ * Webhook channel checks - posting order, retries and the queue limits, with a stub fetch
+ * Run with `node --test test/`
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate } from 'node:timers';
+import { createWebhookChannel } from '../webhook.js';
+
+// Let the pending posts settle; setImmediate is not among the mocked timers
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function alert(message) {
+    return { kind: 'touch', phase: 'start', time: 0, event: { type: 'touch-start' }, message };
+}
+
+// A webhook channel whose fetch records the posted messages and fails while `fails(message)` says so
+function setup(fails = () => false) {
+    const posted = [];
+    const channel = createWebhookChannel({
+        getUrl: () => 'http://localhost:8080/alert',
+        fetch: async (url, { body }) => {
+            const { message } = JSON.parse(body);
+            posted.push(message);
+            return fails(message) ? { ok: false, status: 503 } : { ok: true, status: 200 };
+        }
+    });
+    channel.enabled = true;
+    return { channel, posted };
+}
+
+beforeEach(t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('alerts are posted one at a time in the order they were sent', async () => {
+    const { channel, posted } = setup();
+    channel.send(alert('a'));
+    channel.send(alert('b'));
+    channel.send(alert('c'));
+    await flush();
+    assert.deepEqual(posted, ['a', 'b', 'c']);
+    assert.equal(channel.queued, 0);
+});
+
+test('a failed post holds the queue and is retried with doubling backoff', async t => {
+    let failures = 2;
+    const { channel, posted } = setup(message => message === 'a' && failures-- > 0);
+    channel.send(alert('a'));
+    channel.send(alert('b'));
+    await flush();
+    assert.deepEqual(posted, ['a']);
+    assert.equal(channel.queued, 2);
+
+    t.mock.timers.tick(999);
+    await flush();
+    assert.deepEqual(posted, ['a']);
+    t.mock.timers.tick(1);
+    await flush();
+    assert.deepEqual(posted, ['a', 'a']);
+
+    t.mock.timers.tick(1999);
+    await flush();
+    assert.deepEqual(posted, ['a', 'a']);
+    t.mock.timers.tick(1);
+    await flush();
+    assert.deepEqual(posted, ['a', 'a', 'a', 'b']);
+    assert.equal(channel.queued, 0);
+});
+
+test('a post is dropped after the last retry and the queue moves on', async t => {
+    const { channel, posted } = setup(message => message === 'a');
+    channel.send(alert('a'));
+    channel.send(alert('b'));
+    await flush();
+    // Five retries, after 1, 2, 4, 8 and 16 seconds
+    for (const delay of [1000, 2000, 4000, 8000, 16000]) {
+        t.mock.timers.tick(delay);
+        await flush();
+    }
+    assert.deepEqual(posted, ['a', 'a', 'a', 'a', 'a', 'a', 'b']);
+    assert.equal(channel.queued, 0);
+});
+
+test('the oldest posts are dropped beyond 100 queued', async t => {
+    let down = true;
+    const { channel, posted } = setup(() => down);
+    channel.send(alert('0'));
+    await flush();
+    for (let i = 1; i <= 100; i++) {
+        channel.send(alert(String(i)));
+    }
+    assert.equal(channel.queued, 100);
+
+    down = false;
+    t.mock.timers.tick(1000);
+    await flush();
+    // '0' failed once and was dropped from the full queue, so it is not retried
+    assert.deepEqual(posted, ['0', ...Array.from({ length: 100 }, (_, i) => String(i + 1))]);
+});
+
+test('clear() drops the queue and cancels the pending retry', async t => {
+    const { channel, posted } = setup(message => message === 'a');
+    channel.send(alert('a'));
+    channel.send(alert('b'));
+    await flush();
+    channel.clear();
+    assert.equal(channel.queued, 0);
+
+    t.mock.timers.tick(60000);
+    await flush();
+    assert.deepEqual(posted, ['a']);
+
+    // Nothing is held back anymore
+    channel.send(alert('c'));
+    await flush();
+    assert.deepEqual(posted, ['a', 'c']);
+});
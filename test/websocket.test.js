@@ -0,0 +1,135 @@
+/**
+ * Event stream checks - status throttling and reconnects, over a fake WebSocket
+ * Run with `node --test test/`
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventStream, STREAM_VERSION } from '../websocket.js';
+
+// Stands in for the browser WebSocket; the test opens and drops the connection
+class FakeSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 3;
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeSocket.CONNECTING;
+        this.sent = [];
+        FakeSocket.instances.push(this);
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.readyState = FakeSocket.CLOSED;
+    }
+
+    accept() {
+        this.readyState = FakeSocket.OPEN;
+        this.onopen();
+    }
+
+    drop() {
+        this.readyState = FakeSocket.CLOSED;
+        this.onclose();
+    }
+}
+
+const idle = { monitoring: true, faceVisible: true, touching: false, zone: null, fps: 30 };
+const touching = { ...idle, touching: true, zone: 'mouth' };
+
+// A connected stream, and the state changes it reported
+function setup() {
+    const states = [];
+    const stream = createEventStream({
+        getUrl: () => 'ws://localhost:8765',
+        onStateChange: (...args) => states.push(args),
+        WebSocket: FakeSocket
+    });
+    stream.connect();
+    FakeSocket.instances.at(-1).accept();
+    return { stream, states };
+}
+
+// Messages sent on the current socket, without the wall-clock time
+function sent() {
+    return FakeSocket.instances.at(-1).sent.map(message => {
+        const copy = { ...message };
+        delete copy.time;
+        return copy;
+    });
+}
+
+beforeEach(t => {
+    FakeSocket.instances = [];
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 10000 });
+});
+
+test('a status change within 200 ms is sent when the interval is up, and only the latest', t => {
+    const { stream } = setup();
+    stream.updateStatus(idle);
+    t.mock.timers.tick(50);
+    stream.updateStatus(touching);
+    t.mock.timers.tick(100);
+    stream.updateStatus({ ...touching, zone: 'nose' });
+    assert.deepEqual(sent().slice(1), [{ type: 'status', ...idle }]);
+
+    t.mock.timers.tick(49);
+    assert.equal(sent().length, 2);
+    t.mock.timers.tick(1);
+    assert.deepEqual(sent().slice(2), [{ type: 'status', ...touching, zone: 'nose' }]);
+});
+
+test('a status where only the FPS changed is sent once a second', t => {
+    const { stream } = setup();
+    stream.updateStatus(idle);
+    t.mock.timers.tick(500);
+    stream.updateStatus({ ...idle, fps: 29 });
+    t.mock.timers.tick(499);
+    stream.updateStatus({ ...idle, fps: 28 });
+    assert.equal(sent().length, 2);
+
+    t.mock.timers.tick(1);
+    stream.updateStatus({ ...idle, fps: 27 });
+    assert.deepEqual(sent().slice(2), [{ type: 'status', ...idle, fps: 27 }]);
+});
+
+test('a lost connection is retried with doubling delays and gets hello and the status again', t => {
+    const { stream, states } = setup();
+    stream.updateStatus(idle);
+
+    FakeSocket.instances.at(-1).drop();
+    t.mock.timers.tick(1000);
+    FakeSocket.instances.at(-1).drop();
+    t.mock.timers.tick(1999);
+    assert.equal(FakeSocket.instances.length, 2);
+    t.mock.timers.tick(1);
+    assert.equal(FakeSocket.instances.length, 3);
+    assert.deepEqual(states.filter(([state]) => state === 'waiting'), [['waiting', 1000], ['waiting', 2000]]);
+
+    // Changes while disconnected are kept and sent on reconnect
+    stream.updateStatus(touching);
+    FakeSocket.instances.at(-1).accept();
+    assert.deepEqual(sent(), [
+        { type: 'hello', version: STREAM_VERSION, source: 'face-touch-monitor' },
+        { type: 'status', ...touching }
+    ]);
+
+    // An open connection resets the delay
+    FakeSocket.instances.at(-1).drop();
+    assert.deepEqual(states.at(-1), ['waiting', 1000]);
+});
+
+test('disconnect() stops reconnecting', t => {
+    const { stream, states } = setup();
+    FakeSocket.instances.at(-1).drop();
+    stream.disconnect();
+    t.mock.timers.tick(60000);
+    assert.equal(FakeSocket.instances.length, 1);
+    assert.deepEqual(states.at(-1), ['closed']);
+});
@@ -0,0 +1,161 @@
+/**
+ * Webhook Alert Channel - POST alerts as JSON to a local URL
+ * Meant for driving local gadgets (a desk lamp, a logging daemon). Failed posts are
+ * retried with exponential backoff; the queue is kept in memory only.
+ */
+
+// Retry a failed post this many times, waiting twice as long each time
+const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+// Oldest posts are dropped beyond this, e.g. while the receiver is down for long
+const MAX_QUEUE = 100;
+// Give up on a post the receiver does not answer
+const REQUEST_TIMEOUT_MS = 5000;
+
+// ============================================================================
+// Payload
+// ============================================================================
+
+/**
+ * JSON body posted for an alert.
+ * @param {Object} alert - alert payload from the alert registry
+ * @returns {Object}
+ */
+export function toWebhookBody(alert) {
+    return {
+        source: 'face-touch-monitor',
+        event: alert.event?.type ?? null,
+        kind: alert.kind,
+        phase: alert.phase,
+        time: new Date(alert.time).toISOString(),
+        zone: alert.zone,
+        hand: alert.hand,
+        finger: alert.finger,
+        issue: alert.issue,
+        count: alert.count,
+        level: alert.level ?? 0,
+        durationMs: alert.event?.durationMs ?? null,
+        message: alert.message
+    };
+}
+
+// ============================================================================
+// Channel
+// ============================================================================
+
+/**
+ * Create the webhook alert channel. It is off by default and gets touch, biting and
+ * posture alerts when they start and end.
+ * @param {Object} options
+ * @param {function(): string} options.getUrl - the configured URL, read on every post
+ * @param {function} [options.fetch] - fetch implementation
+ */
+export function createWebhookChannel({ getUrl, fetch = globalThis.fetch.bind(globalThis) }) {
+    const queue = [];           // { body, attempts }
+    let sending = false;
+    let retryTimer = null;
+
+    const channel = {
+        id: 'webhook',
+        label: 'Webhook',
+        enabled: false,
+        kinds: ['touch', 'bite', 'posture'],
+        phases: ['start', 'end'],
+
+        // Posts waiting to be sent or retried
+        get queued() {
+            return queue.length;
+        },
+
+        send(alert) {
+            if (!getUrl()) return;
+
+            queue.push({ body: toWebhookBody(alert), attempts: 0 });
+            if (queue.length > MAX_QUEUE) {
+                queue.shift();
+                console.warn('Webhook queue full, dropped the oldest event');
+            }
+            processQueue();
+        },
+
+        /**
+         * Post a test event right away, without the queue.
+         * @returns {Promise<number>} HTTP status
+         * @throws {Error} when no URL is set, the request fails or the status is not 2xx
+         */
+        async test() {
+            const url = getUrl();
+            if (!url) {
+                throw new Error('No webhook URL set');
+            }
+            return post(url, {
+                source: 'face-touch-monitor',
+                event: 'test',
+                kind: 'test',
+                phase: 'start',
+                time: new Date().toISOString(),
+                message: 'Test event from Face Touch Monitor'
+            });
+        },
+
+        // Drop queued posts and pending retries
+        clear() {
+            queue.length = 0;
+            clearTimeout(retryTimer);
+            retryTimer = null;
+        }
+    };
+
+    // Send queued posts one at a time, in order; a failure holds the queue until its retry
+    async function processQueue() {
+        if (sending || retryTimer) return;
+        sending = true;
+
+        while (queue.length > 0) {
+            const item = queue[0];
+            const url = getUrl();
+            if (!url) {
+                channel.clear();
+                break;
+            }
+
+            try {
+                await post(url, item.body);
+                queue.shift();
+            } catch (error) {
+                item.attempts++;
+                if (item.attempts > MAX_RETRIES) {
+                    console.warn(`Webhook gave up on "${item.body.event}" after ${MAX_RETRIES} retries:`, error);
+                    queue.shift();
+                    continue;
+                }
+
+                const delay = Math.min(RETRY_BASE_MS * 2 ** (item.attempts - 1), RETRY_MAX_MS);
+                console.warn(`Webhook post failed, retrying in ${delay / 1000}s:`, error);
+                retryTimer = setTimeout(() => {
+                    retryTimer = null;
+                    processQueue();
+                }, delay);
+                break;
+            }
+        }
+
+        sending = false;
+    }
+
+    async function post(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.status;
+    }
+
+    return channel;
+}
@@ -0,0 +1,163 @@
+/**
+ * Event Stream - live status and events over a WebSocket, for dashboards and home automation
+ * Messages are JSON text frames in the schema documented in the readme. The stream
+ * reconnects by itself; nothing is buffered while it is disconnected.
+ */
+
+export const STREAM_VERSION = 1;
+
+// Reconnect after a lost connection, waiting twice as long each time
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// Status is sent right away when it changes, but no more often than this...
+const STATUS_MIN_INTERVAL_MS = 200;
+// ...and at this interval while nothing changes, so the FPS stays current
+const STATUS_INTERVAL_MS = 1000;
+
+// ============================================================================
+// Stream
+// ============================================================================
+
+/**
+ * Create an event stream. It does nothing until `connect` is called.
+ * @param {Object} options
+ * @param {function(): string} options.getUrl - ws:// or wss:// endpoint, read on every connect
+ * @param {function(string, number)} [options.onStateChange] - connection state
+ *   ('connecting', 'open', 'waiting' or 'closed') and, while waiting, the reconnect delay in ms
+ * @param {typeof WebSocket} [options.WebSocket] - WebSocket implementation
+ */
+export function createEventStream({ getUrl, onStateChange = () => {}, WebSocket = globalThis.WebSocket }) {
+    let socket = null;
+    let active = false;         // connect() called and not disconnected since
+    let reconnectTimer = null;
+    let reconnectDelay = RECONNECT_BASE_MS;
+    let status = null;          // latest status, sent again on every (re)connect
+    let lastStatusKey = null;
+    let lastStatusTime = 0;
+    let statusTimer = null;     // pending send of a change that came too soon after the last one
+
+    const stream = {
+        get isOpen() {
+            return socket !== null && socket.readyState === WebSocket.OPEN;
+        },
+
+        // (Re)connect to the current URL
+        connect() {
+            stream.disconnect();
+            active = true;
+            reconnectDelay = RECONNECT_BASE_MS;
+            open();
+        },
+
+        disconnect() {
+            active = false;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            clearTimeout(statusTimer);
+            statusTimer = null;
+            if (socket) {
+                socket.onclose = null;
+                socket.close();
+                socket = null;
+            }
+            onStateChange('closed');
+        },
+
+        /**
+         * Update the live status. Sent at once when anything but the FPS changed,
+         * otherwise once a second. A change within 200 ms of the last send is sent
+         * when that time is up, so the last change (e.g. monitoring stopped) is never lost.
+         * @param {Object} next - status fields, see the readme
+         */
+        updateStatus(next) {
+            status = next;
+            if (!stream.isOpen || statusTimer !== null) return;
+
+            const changed = getStatusKey(next) !== lastStatusKey;
+            const wait = lastStatusTime + (changed ? STATUS_MIN_INTERVAL_MS : STATUS_INTERVAL_MS) - Date.now();
+            if (wait <= 0) {
+                sendStatus();
+            } else if (changed) {
+                statusTimer = setTimeout(() => {
+                    statusTimer = null;
+                    sendStatus();
+                }, wait);
+            }
+        },
+
+        /**
+         * Send a discrete event; dropped while disconnected.
+         * @param {Object} event - engine event ({ type, timestamp, ... })
+         * @param {number} time - when it happened, epoch milliseconds
+         */
+        sendEvent(event, time) {
+            // The engine timestamp is replaced by the wall-clock time
+            const { type, ...payload } = event;
+            delete payload.timestamp;
+            send({ type: 'event', event: type, time: new Date(time).toISOString(), ...payload });
+        }
+    };
+
+    function open() {
+        const url = getUrl();
+        if (!url) {
+            onStateChange('closed');
+            return;
+        }
+
+        onStateChange('connecting');
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            // Malformed URL - retrying will not help
+            console.warn('Event stream could not connect:', error);
+            active = false;
+            onStateChange('closed');
+            return;
+        }
+
+        socket.onopen = () => {
+            reconnectDelay = RECONNECT_BASE_MS;
+            onStateChange('open');
+            send({ type: 'hello', version: STREAM_VERSION, source: 'face-touch-monitor', time: new Date().toISOString() });
+            if (status) sendStatus();
+        };
+
+        socket.onclose = () => {
+            socket = null;
+            if (!active) return;
+
+            const delay = reconnectDelay;
+            reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+            onStateChange('waiting', delay);
+            reconnectTimer = setTimeout(() => {
+                reconnectTimer = null;
+                open();
+            }, delay);
+        };
+
+        // A failed connection is followed by close, which schedules the retry
+        socket.onerror = () => {
+            console.warn(`Event stream connection to ${url} failed`);
+        };
+    }
+
+    function sendStatus() {
+        lastStatusKey = getStatusKey(status);
+        lastStatusTime = Date.now();
+        send({ type: 'status', time: new Date().toISOString(), ...status });
+    }
+
+    // Status without the FPS, to tell real changes apart
+    function getStatusKey(next) {
+        return JSON.stringify({ ...next, fps: null });
+    }
+
+    function send(message) {
+        if (stream.isOpen) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    return stream;
+}